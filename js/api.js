@@ -5,54 +5,218 @@
  */
 class API {
     constructor() {
-        this.endpoint = CONFIG.GRAPHQL_ENDPOINT;
+        this.pendingControllers = new Set();
+        this.cancelGeneration = 0;
+        this.session = null;
+        this.token = null;
+        this.userId = null;
+        this.tokenExpiresAt = null;
+        this.allowedRoles = [];
+        this.cohortRole = null;
+    }
+
+    /**
+     * Follow session changes published by Auth
+     * @param {Auth} session - Source of tokens and re-authentication
+     */
+    connect(session) {
+        this.session = session;
+
+        session.on('tokenChanged', ({ accountId, previousAccountId, userId, token, expiresAt, allowedRoles, cohortRole }) => {
+            // Anything still loading belongs to the previous account
+            if (accountId !== previousAccountId) {
+                this.cancelAllRequests();
+            }
+            this.token = token;
+            this.userId = userId;
+            this.tokenExpiresAt = expiresAt;
+            this.allowedRoles = allowedRoles;
+            this.cohortRole = cohortRole;
+        });
+        session.on('logout', () => this.cancelAllRequests());
+    }
+
+    /**
+     * GraphQL endpoint of the active campus
+     * @returns {string} - Endpoint URL
+     */
+    get endpoint() {
+        return CONFIG.GRAPHQL_ENDPOINT;
     }
 
     /**
      * Execute GraphQL query
-     * @param {object} queryObject - GraphQL query object
+     * Network failures, timeouts and 5xx responses are retried with exponential
+     * backoff; GraphQL errors and other 4xx responses are not. An expired session
+     * waits for the user to sign in again, then the request is sent once more.
+     * @param {object} queryObject - GraphQL query object ({ query, variables })
+     * @param {object} options - Request options
+     * @param {number} options.timeout - Per-attempt timeout in milliseconds
+     * @param {number} options.maxAttempts - Maximum number of attempts
+     * @param {string} options.role - Hasura role to query as (x-hasura-role); the token's default role if omitted
      * @returns {Promise<object>} - Query result
-     * @throws {Error} - API error
+     * @throws {AppError} - Authentication, authorization, network, timeout, cancellation or GraphQL error
      */
-    async executeQuery(queryObject) {
+    async executeQuery(queryObject, options = {}) {
+        const {
+            timeout = CONFIG.REQUEST.TIMEOUT,
+            maxAttempts = CONFIG.REQUEST.MAX_ATTEMPTS,
+            role = null
+        } = options;
+        const generation = this.cancelGeneration;
+
         try {
-            const token = auth.getToken();
-            if (!token) {
-                throw new Error('No authentication token available');
+            if (!this.token) {
+                throw new AuthenticationError('No authentication token available');
+            }
+
+            // Hasura rejects roles missing from the token's claims, so don't send the request
+            if (role && !this.allowedRoles.includes(role)) {
+                throw new AuthorizationError(`Role "${role}" is not allowed by the current token`, 'ROLE_FORBIDDEN');
+            }
+
+            // Don't send a token that is known to have expired
+            if (this.session && this.tokenExpiresAt && this.tokenExpiresAt <= Date.now()) {
+                await this.session.requestReauth();
+            }
+            let reauthenticated = false;
+
+            const { query, variables = {} } = queryObject;
+            const operationName = queryObject.operationName || Utils.getOperationName(query);
+            const body = JSON.stringify({ query, variables, operationName });
+
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    return await this.sendRequest(body, this.token, timeout, role);
+                } catch (error) {
+                    // The server rejected the session: re-login, then send with the new token
+                    if (error instanceof AuthenticationError && this.session && !reauthenticated) {
+                        await this.session.requestReauth();
+                        reauthenticated = true;
+                        attempt = 0;
+                        continue;
+                    }
+
+                    if (!error.retryable || attempt >= maxAttempts) {
+                        throw error;
+                    }
+
+                    const delay = this.getRetryDelay(attempt);
+                    console.warn(`Retrying ${operationName || 'query'} in ${delay}ms (attempt ${attempt + 1}/${maxAttempts}):`, error.message);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+
+                    // Requests cancelled while waiting must not be retried
+                    if (generation !== this.cancelGeneration) {
+                        throw new RequestCancelledError();
+                    }
+                }
+            }
+
+        } catch (error) {
+            if (!(error instanceof RequestCancelledError)) {
+                console.error('API Error:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a single GraphQL request with a timeout
+     * @param {string} body - Serialized request body
+     * @param {string} token - JWT token
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {string|null} role - Hasura role to query as
+     * @returns {Promise<object>} - Query result
+     * @throws {AppError} - Typed request error
+     */
+    async sendRequest(body, token, timeout, role = null) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        this.pendingControllers.add(controller);
+
+        try {
+            const headers = {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            };
+            if (role) {
+                headers['x-hasura-role'] = role;
             }
 
             const response = await fetch(this.endpoint, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify(queryObject)
+                headers,
+                body,
+                signal: controller.signal
             });
 
             if (!response.ok) {
+                const message = `HTTP ${response.status}: ${response.statusText}`;
                 if (response.status === 401) {
-                    auth.handleAuthError(new Error(CONFIG.ERRORS.TOKEN_EXPIRED));
-                    return;
+                    throw new AuthenticationError(message);
                 }
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                if (response.status === 403) {
+                    throw new AuthorizationError(message);
+                }
+                throw new NetworkError(message, response.status);
             }
 
             const data = await response.json();
 
             if (data.errors && data.errors.length > 0) {
                 console.error("GraphQL Errors:", data.errors);
-                throw new Error(`GraphQL Error: ${data.errors[0].message}`);
+                throw GraphQLError.fromErrors(data.errors);
             }
 
             return data;
 
         } catch (error) {
-            console.error('API Error:', error);
+            if (error.name === 'AbortError') {
+                if (!timedOut) {
+                    throw new RequestCancelledError();
+                }
+                throw new TimeoutError(`Request timed out after ${timeout}ms`);
+            }
+
+            // fetch rejects with a TypeError when the network is unreachable
+            if (error instanceof TypeError) {
+                throw new NetworkError(error.message);
+            }
+
             throw error;
+
+        } finally {
+            clearTimeout(timer);
+            this.pendingControllers.delete(controller);
         }
     }
 
+    /**
+     * Get backoff delay for a retry attempt (exponential with full jitter)
+     * @param {number} attempt - Attempt number that just failed (1-based)
+     * @returns {number} - Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const ceiling = Math.min(
+            CONFIG.REQUEST.RETRY_MAX_DELAY,
+            CONFIG.REQUEST.RETRY_BASE_DELAY * Math.pow(2, attempt - 1)
+        );
+        return Math.round(Math.random() * ceiling);
+    }
+
+    /**
+     * Cancel all in-flight requests and pending retries
+     */
+    cancelAllRequests() {
+        this.cancelGeneration++;
+        this.pendingControllers.forEach(controller => controller.abort());
+        this.pendingControllers.clear();
+    }
+
     /**
      * Fetch user basic information
      * @returns {Promise<object>} - User data
@@ -62,7 +226,7 @@ class API {
         const response = await this.executeQuery(query);
         
         if (!response.data.user || response.data.user.length === 0) {
-            throw new Error('User information not found');
+            throw new AppError('User information not found', 'NO_DATA');
         }
 
         return response.data.user[0];
@@ -101,6 +265,204 @@ class API {
         };
     }
 
+    /**
+     * Fetch audit ledger data
+     * @param {number} userId - User ID
+     * @returns {Promise<object>} - { given, received, transactions }
+     */
+    async fetchAuditLedger(userId) {
+        const query = Queries.getAuditLedger(userId);
+        const response = await this.executeQuery(query);
+        return {
+            given: response.data.auditsGiven || [],
+            received: response.data.auditsReceived || [],
+            transactions: response.data.auditTransactions || []
+        };
+    }
+
+    /**
+     * Fetch groups the user has been a member of
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - Groups with members, most recent first
+     */
+    async fetchUserGroups(userId) {
+        const query = Queries.getUserGroups(userId);
+        const response = await this.executeQuery(query);
+        return response.data.groups || [];
+    }
+
+    /**
+     * Fetch one page of the activity feed
+     * Both sources are paged separately, so only the newest `limit` merged items are
+     * kept. Each source's cursor stops at its last row kept; the rest come back with the next page.
+     * @param {number} userId - User ID
+     * @param {string} since - ISO date where the activity window starts
+     * @param {object} cursor - Cursor returned with the previous page (omit for the newest page)
+     * @returns {Promise<object>} - { items, cursor, hasMore }
+     */
+    async fetchActivityPage(userId, since, cursor = null) {
+        const limit = CONFIG.ACTIVITY_PAGE_SIZE;
+        if (!cursor) {
+            // Ids are positive, so a zero id with the current time starts just before now
+            const now = { at: new Date().toISOString(), id: 0 };
+            cursor = { transaction: now, progress: now };
+        }
+
+        const query = Queries.getRecentActivity(userId, since, cursor, limit);
+        const response = await this.executeQuery(query);
+        const transactions = response.data.transaction || [];
+        const progress = response.data.progress || [];
+
+        const merged = this.buildActivityItems(transactions, progress);
+        const items = merged.slice(0, limit);
+        const kept = new Set(items.map(item => item.id));
+
+        const nextCursor = (rows, prefix, dateKey, previous) => {
+            const last = rows.filter(row => kept.has(`${prefix}-${row.id}`)).pop();
+            return last ? { at: last[dateKey], id: last.id } : previous;
+        };
+
+        return {
+            items,
+            cursor: {
+                transaction: nextCursor(transactions, 'transaction', 'createdAt', cursor.transaction),
+                progress: nextCursor(progress, 'progress', 'updatedAt', cursor.progress)
+            },
+            hasMore: merged.length > limit || transactions.length === limit || progress.length === limit
+        };
+    }
+
+    /**
+     * Merge transactions and graded projects into activity items
+     * @param {Array} transactions - Transactions of any type
+     * @param {Array} progress - Graded project progress rows
+     * @returns {Array} - Items ({ id, kind, title, detail, path, createdAt }), newest first
+     */
+    buildActivityItems(transactions, progress) {
+        const projectName = path => (path ? path.split('/').pop() : 'Unknown');
+
+        const fromTransaction = t => {
+            const item = { id: `transaction-${t.id}`, path: t.path, createdAt: t.createdAt, detail: projectName(t.path) };
+
+            if (t.type === 'xp') return { ...item, kind: 'xp', title: `Earned ${Utils.formatXP(t.amount)} XP` };
+            if (t.type === 'up') return { ...item, kind: 'audit-given', title: `Audit given (+${Utils.formatXP(t.amount)})` };
+            if (t.type === 'down') return { ...item, kind: 'audit-received', title: `Audit received (-${Utils.formatXP(t.amount)})` };
+            if (t.type === 'level') return { ...item, kind: 'level', title: `Reached level ${t.amount}` };
+            if (t.type.startsWith('skill_')) return { ...item, kind: 'skill', title: `${Utils.formatSkillName(t.type)} skill now ${t.amount}%` };
+            return { ...item, kind: 'other', title: t.type };
+        };
+
+        const fromProgress = p => ({
+            id: `progress-${p.id}`,
+            kind: p.grade >= 1 ? 'pass' : 'fail',
+            title: `${p.grade >= 1 ? 'Passed' : 'Failed'} ${p.object?.name || projectName(p.path)}`,
+            detail: `Grade ${p.grade.toFixed(2)}`,
+            path: p.path,
+            createdAt: p.updatedAt
+        });
+
+        return [...transactions.map(fromTransaction), ...progress.map(fromProgress)]
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Get event path and XP path patterns for cohort queries
+     * @param {string} scopeKey - Key into CONFIG.XP_SCOPES with an `event`
+     * @returns {Array} - [eventPath, xpPattern, excludePattern]
+     */
+    getCohortQueryArgs(scopeKey) {
+        const scope = CONFIG.XP_SCOPES[scopeKey];
+        return [
+            CONFIG.PATH_PREFIX + scope.event,
+            `${CONFIG.PATH_PREFIX}${scope.include[0]}%`,
+            scope.exclude.length > 0 ? `${CONFIG.PATH_PREFIX}${scope.exclude[0]}%` : ''
+        ];
+    }
+
+    /**
+     * Execute a cohort-wide query, serving fresh cached results when available
+     * The query runs as the preferred cohort role from the token's claims. Hasura hides
+     * tables a role may not read, so a root field "not found in query_root" and permission
+     * errors become AuthorizationErrors; other validation errors are real query bugs.
+     * @param {object} query - GraphQL query object
+     * @returns {Promise<object>} - Response data
+     */
+    async fetchCohortQuery(query) {
+        const cached = queryCache.get(query);
+        if (cached && !cached.stale) return cached.data;
+
+        try {
+            const response = await this.executeQuery(query, { role: this.cohortRole });
+            queryCache.set(query, response.data);
+            return response.data;
+        } catch (error) {
+            const denied = e => ['permission-error', 'access-denied'].includes(e.extensions?.code)
+                || (e.extensions?.code === 'validation-failed' && /not found in type: ['"]?query_root/.test(e.message));
+            const hidden = error instanceof GraphQLError && error.errors.some(denied);
+            if (hidden || error instanceof AuthorizationError) {
+                throw new AuthorizationError(error.message, 'ROLE_FORBIDDEN');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch cohort percentile bands of cumulative XP
+     * Each member's cumulative XP is sampled at evenly spaced times between the two dates.
+     * @param {string} scopeKey - Key into CONFIG.XP_SCOPES with an `event`
+     * @param {Date} minDate - Start of the time axis
+     * @param {Date} maxDate - End of the time axis
+     * @returns {Promise<Array>} - Samples ({ date, p25, median, p75 })
+     */
+    async fetchCohortXPBands(scopeKey, minDate, maxDate) {
+        const data = await this.fetchCohortQuery(Queries.getCohortProgress(...this.getCohortQueryArgs(scopeKey)));
+        const members = data.event_user.map(member => ({ transactions: member.user.transactions, index: 0, xp: 0 }));
+        const samples = CONFIG.COHORT_BAND_SAMPLES;
+        const bands = [];
+
+        for (let i = 0; i < samples; i++) {
+            const date = new Date(minDate.getTime() + (maxDate - minDate) * i / (samples - 1));
+
+            // Sample times only move forward, so each member's running total carries over
+            const values = members.map(member => {
+                while (member.index < member.transactions.length &&
+                       new Date(member.transactions[member.index].createdAt) <= date) {
+                    member.xp += member.transactions[member.index].amount;
+                    member.index++;
+                }
+                return member.xp;
+            }).sort((a, b) => a - b);
+
+            bands.push({
+                date,
+                p25: Utils.percentile(values, 0.25),
+                median: Utils.percentile(values, 0.5),
+                p75: Utils.percentile(values, 0.75)
+            });
+        }
+
+        return bands;
+    }
+
+    /**
+     * Fetch the XP leaderboard of an event's cohort
+     * @param {string} scopeKey - Key into CONFIG.XP_SCOPES with an `event`
+     * @returns {Promise<Array>} - Members ({ rank, userId, login, name, xp }), highest XP first
+     */
+    async fetchLeaderboard(scopeKey) {
+        const data = await this.fetchCohortQuery(Queries.getLeaderboard(...this.getCohortQueryArgs(scopeKey)));
+
+        return data.event_user
+            .map(member => ({
+                userId: member.userId,
+                login: member.user.login,
+                name: [member.user.firstName, member.user.lastName].filter(Boolean).join(' ') || member.user.login,
+                xp: member.user.transactions_aggregate.aggregate.sum?.amount || 0
+            }))
+            .sort((a, b) => b.xp - a.xp || a.login.localeCompare(b.login))
+            .map((member, index) => ({ rank: index + 1, ...member }));
+    }
+
     /**
      * Fetch user progress data
      * @param {number} userId - User ID
@@ -135,298 +497,587 @@ class API {
     }
 
     /**
-     * Fetch skills data (bonus)
+     * Fetch skill transactions (bonus)
      * @param {number} userId - User ID
-     * @returns {Promise<Array>} - Skills data
+     * @returns {Promise<Array>} - skill_* transactions, oldest first
      */
     async fetchUserSkills(userId) {
-        try {
-            const query = Queries.getUserSkills(userId);
-            const response = await this.executeQuery(query);
+        const query = Queries.getUserSkills(userId);
+        const response = await this.executeQuery(query);
+        return response.data.skillTransactions || [];
+    }
 
-            // Combine skill transactions and project-based skills
-            const skillTransactions = response.data.skillTransactions || [];
-            const projectSkills = response.data.projectSkills || [];
+    /**
+     * Fetch level transactions
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} - level transactions, oldest first
+     */
+    async fetchUserLevels(userId) {
+        const query = Queries.getUserLevels(userId);
+        const response = await this.executeQuery(query);
+        return response.data.levelTransactions || [];
+    }
 
-            // Process project skills into skill-like format
-            const processedProjectSkills = this.processProjectSkills(projectSkills);
+    /**
+     * Reduce skill transactions to the current value of each skill
+     * Every skill_* transaction records the skill's new value, so the maximum is the current level.
+     * @param {Array} skillTransactions - skill_* transactions
+     * @returns {Array} - Skills sorted by value, highest first
+     */
+    processSkillsData(skillTransactions) {
+        const skillMap = new Map();
 
-            // Combine and deduplicate
-            const allSkills = [...skillTransactions, ...processedProjectSkills];
+        skillTransactions.forEach(transaction => {
+            const current = skillMap.get(transaction.type);
+            if (!current || transaction.amount > current.amount) {
+                skillMap.set(transaction.type, {
+                    type: transaction.type,
+                    name: Utils.formatSkillName(transaction.type),
+                    amount: transaction.amount,
+                    createdAt: transaction.createdAt
+                });
+            }
+        });
+
+        return Array.from(skillMap.values()).sort((a, b) => b.amount - a.amount);
+    }
 
-            // If no skills found, create some based on completed projects
-            if (allSkills.length === 0 && projectSkills.length > 0) {
-                return this.generateSkillsFromProjects(projectSkills);
+    /**
+     * Fetch comprehensive user data
+     * @returns {Promise<object>} - Complete user profile data
+     */
+    async fetchCompleteUserData() {
+        try {
+            const userId = this.userId;
+            if (!userId) {
+                throw new AuthenticationError('User ID not available');
             }
 
-            return allSkills;
+            const resources = this.loadDashboardResources(userId);
+            const names = Object.keys(resources);
+            const values = await Promise.all(names.map(name => resources[name]));
+            const dashboardData = names.reduce((data, name, index) => {
+                data[name] = values[index];
+                return data;
+            }, {});
+
+            this.cacheDashboardData(userId, dashboardData);
+
+            return this.buildUserData(userId, dashboardData, Date.now());
+
         } catch (error) {
-            console.warn('Skills query failed, generating fallback skills:', error);
-            // Return fallback skills based on user progress
-            return this.generateFallbackSkills();
+            console.error('Error fetching user data:', error);
+            throw error;
         }
     }
 
     /**
-     * Process project skills into skill format
-     * @param {Array} projectSkills - Project progress data
-     * @returns {Array} - Processed skills
+     * Get per-resource fetchers for the dashboard
+     * @param {number} userId - User ID
+     * @returns {object} - Map of resource name to fetch function
      */
-    processProjectSkills(projectSkills) {
-        const skillMap = new Map();
+    getResourceFetchers(userId) {
+        return {
+            userInfo: () => this.fetchUserInfo(),
+            transactions: () => this.fetchUserTransactions(userId),
+            auditData: () => this.fetchAuditData(userId),
+            progress: () => this.fetchUserProgress(userId),
+            results: () => this.fetchUserResults(userId),
+            projects: () => this.fetchUserProjects(userId),
+            skillTransactions: () => this.fetchUserSkills(userId),
+            levelTransactions: () => this.fetchUserLevels(userId),
+            auditLedger: () => this.fetchAuditLedger(userId),
+            groups: () => this.fetchUserGroups(userId)
+        };
+    }
 
-        projectSkills.forEach(project => {
-            if (project.object && project.object.name) {
-                const skillName = this.extractSkillFromProject(project.object.name, project.path);
-                const skillKey = skillName.toLowerCase();
-
-                if (skillMap.has(skillKey)) {
-                    skillMap.get(skillKey).amount += project.grade;
-                    skillMap.get(skillKey).count += 1;
-                } else {
-                    skillMap.set(skillKey, {
-                        id: `skill-${skillKey}`,
-                        type: 'skill',
-                        amount: project.grade,
-                        count: 1,
-                        createdAt: project.createdAt,
-                        path: project.path,
-                        object: {
-                            name: skillName,
-                            type: 'skill'
-                        }
-                    });
-                }
+    /**
+     * Fetch a single dashboard resource on its own
+     * @param {string} name - Resource name
+     * @param {number} userId - User ID
+     * @returns {Promise<*>} - Resource data
+     */
+    fetchResource(name, userId) {
+        return this.getResourceFetchers(userId)[name]();
+    }
+
+    /**
+     * Start loading all dashboard resources
+     * Tries a single aliased request first; if the server rejects it, each resource
+     * is fetched separately so one failing query only affects the sections using it.
+     * @param {number} userId - User ID
+     * @returns {object} - Map of resource name to Promise of its data
+     */
+    loadDashboardResources(userId) {
+        const fetchers = this.getResourceFetchers(userId);
+        const combined = this.fetchCombinedUserData(userId);
+
+        combined.catch(error => {
+            if (error instanceof GraphQLError) {
+                console.warn('Combined query failed, falling back to per-section requests:', error);
             }
         });
 
-        return Array.from(skillMap.values()).sort((a, b) => b.amount - a.amount);
+        return Object.keys(fetchers).reduce((resources, name) => {
+            resources[name] = combined.then(
+                data => data[name],
+                error => {
+                    // Only a rejected operation is worth retrying as separate requests
+                    if (!(error instanceof GraphQLError)) throw error;
+                    return fetchers[name]();
+                }
+            );
+            return resources;
+        }, {});
     }
 
     /**
-     * Extract skill name from project
-     * @param {string} projectName - Project name
-     * @param {string} path - Project path
-     * @returns {string} - Skill name
-     */
-    extractSkillFromProject(projectName, path) {
-        // Extract programming language or skill type from path/name
-        if (path) {
-            if (path.includes('javascript') || path.includes('js')) return 'JavaScript';
-            if (path.includes('golang') || path.includes('go')) return 'Go';
-            if (path.includes('python')) return 'Python';
-            if (path.includes('rust')) return 'Rust';
-            if (path.includes('sql')) return 'SQL';
-            if (path.includes('docker')) return 'Docker';
-            if (path.includes('linux')) return 'Linux';
-            if (path.includes('algorithm')) return 'Algorithms';
-            if (path.includes('math')) return 'Mathematics';
-        }
+     * Store complete raw dashboard data so the next visit can paint immediately
+     * @param {number} userId - User ID
+     * @param {object} dashboardData - Raw dashboard data
+     */
+    cacheDashboardData(userId, dashboardData) {
+        queryCache.set(Queries.getCompleteUserData(userId), dashboardData);
+    }
+
+    /**
+     * Build dashboard user data from raw query results
+     * Resources that have not loaded yet are skipped, so sections can render from partial data.
+     * @param {number} userId - User ID
+     * @param {object} dashboardData - Raw dashboard data (possibly partial)
+     * @param {number} fetchedAt - Timestamp the raw data was fetched at
+     * @param {string} xpScope - Key into CONFIG.XP_SCOPES used for XP totals and charts
+     * @returns {object} - User profile data
+     */
+    buildUserData(userId, dashboardData, fetchedAt, xpScope = Utils.getXPScope()) {
+        const {
+            userInfo,
+            transactions,
+            auditData,
+            progress,
+            results,
+            projects,
+            skillTransactions,
+            levelTransactions,
+            auditLedger,
+            groups
+        } = dashboardData;
 
-        // Fallback to project name processing
-        const name = projectName.toLowerCase();
-        if (name.includes('js') || name.includes('javascript')) return 'JavaScript';
-        if (name.includes('go') || name.includes('golang')) return 'Go';
-        if (name.includes('algorithm')) return 'Algorithms';
-        if (name.includes('math')) return 'Mathematics';
-        if (name.includes('web')) return 'Web Development';
-        if (name.includes('api')) return 'API Development';
-        if (name.includes('database') || name.includes('db')) return 'Database';
+        return {
+            id: userId,
+            ...(userInfo ? this.buildUserInfo(userInfo) : {}),
+            ...(transactions ? this.buildXPStats(transactions, xpScope) : {}),
+            ...(transactions && levelTransactions ? this.buildLevelStats(transactions, levelTransactions) : {}),
+            ...(auditData ? this.buildAuditStats(auditData) : {}),
+            ...(auditLedger ? this.buildAuditHistoryStats(auditLedger) : {}),
+            ...(progress ? this.buildProgressStats(progress) : {}),
+            ...(skillTransactions ? this.buildSkillStats(skillTransactions) : {}),
+            ...(results ? this.buildAttemptStats(results) : {}),
+            ...(groups && results ? this.buildGroupStats(userId, groups, results) : {}),
+            results,
+            projects,
 
-        return 'Programming';
+            // Metadata
+            lastUpdated: new Date(fetchedAt).toISOString(),
+            dataComplete: Object.keys(this.getResourceFetchers(userId)).every(name => name in dashboardData)
+        };
     }
 
     /**
-     * Generate skills from completed projects
-     * @param {Array} projects - Project data
-     * @returns {Array} - Generated skills
+     * Build basic info (Section 1)
+     * @param {object} userInfo - User row
+     * @returns {object} - Basic info fields
      */
-    generateSkillsFromProjects(projects) {
-        const skills = [
-            { name: 'Problem Solving', amount: projects.length * 2 },
-            { name: 'Programming', amount: projects.filter(p => p.grade >= 1).length * 3 },
-            { name: 'Project Management', amount: projects.length },
-            { name: 'Code Quality', amount: projects.filter(p => p.grade >= 1).length * 2 }
-        ];
+    buildUserInfo(userInfo) {
+        return {
+            login: userInfo.login,
+            firstName: userInfo.firstName || userInfo.login,
+            lastName: userInfo.lastName || '',
+            email: userInfo.email || ''
+        };
+    }
 
-        return skills.map((skill, index) => ({
-            id: `generated-skill-${index}`,
-            type: 'skill',
-            amount: skill.amount,
-            createdAt: new Date().toISOString(),
-            path: '/skills/generated',
-            object: {
-                name: skill.name,
-                type: 'skill'
-            }
+    /**
+     * Build XP and level stats (Section 2)
+     * Totals only count transactions in the selected scope; every other scope is
+     * summed separately so piscine XP can be reported next to the main module.
+     * @param {Array} transactions - All XP transactions
+     * @param {string} xpScope - Key into CONFIG.XP_SCOPES
+     * @returns {object} - XP fields
+     */
+    buildXPStats(transactions, xpScope) {
+        const sumXP = items => items.reduce((sum, t) => sum + (t.amount || 0), 0);
+        const scopedTransactions = transactions.filter(t => Utils.isPathInScope(t.path, xpScope));
+        const totalXP = sumXP(scopedTransactions);
+
+        const xpByScope = Object.keys(CONFIG.XP_SCOPES).map(key => ({
+            key,
+            label: CONFIG.XP_SCOPES[key].label,
+            totalXP: sumXP(transactions.filter(t => Utils.isPathInScope(t.path, key)))
         }));
+
+        return {
+            xpScope,
+            totalXP,
+            transactions: scopedTransactions,
+            allTransactions: transactions,
+            xpByScope,
+            formattedXP: Utils.formatXP(totalXP)
+        };
     }
 
     /**
-     * Generate fallback skills
-     * @returns {Array} - Fallback skills
+     * Build level stats for the main event
+     * The level comes from the latest `level` transaction of the main event and progress
+     * is measured against an approximation of the XP-per-level curve, so it is always an
+     * estimate. Without level transactions the level itself is a linear XP_PER_LEVEL
+     * estimate, flagged through `levelEstimated`.
+     * @param {Array} transactions - All XP transactions
+     * @param {Array} levelTransactions - level transactions, oldest first
+     * @returns {object} - Level fields
      */
-    generateFallbackSkills() {
-        return [
-            {
-                id: 'fallback-skill-1',
-                type: 'skill',
-                amount: 85,
-                createdAt: new Date().toISOString(),
-                path: '/skills/programming',
-                object: { name: 'Programming', type: 'skill' }
-            },
-            {
-                id: 'fallback-skill-2',
-                type: 'skill',
-                amount: 75,
-                createdAt: new Date().toISOString(),
-                path: '/skills/problem-solving',
-                object: { name: 'Problem Solving', type: 'skill' }
-            },
-            {
-                id: 'fallback-skill-3',
-                type: 'skill',
-                amount: 65,
-                createdAt: new Date().toISOString(),
-                path: '/skills/algorithms',
-                object: { name: 'Algorithms', type: 'skill' }
-            },
-            {
-                id: 'fallback-skill-4',
-                type: 'skill',
-                amount: 60,
-                createdAt: new Date().toISOString(),
-                path: '/skills/web-dev',
-                object: { name: 'Web Development', type: 'skill' }
-            },
-            {
-                id: 'fallback-skill-5',
-                type: 'skill',
-                amount: 55,
-                createdAt: new Date().toISOString(),
-                path: '/skills/teamwork',
-                object: { name: 'Teamwork', type: 'skill' }
-            }
+    buildLevelStats(transactions, levelTransactions) {
+        const mainScope = CONFIG.DEFAULT_XP_SCOPE;
+        const mainXP = transactions
+            .filter(t => Utils.isPathInScope(t.path, mainScope))
+            .reduce((sum, t) => sum + (t.amount || 0), 0);
+        const mainLevels = levelTransactions.filter(t => Utils.isPathInScope(t.path, mainScope));
+
+        if (mainLevels.length === 0) {
+            const level = Utils.calculateLevel(mainXP);
+            const levelStartXP = level * CONFIG.XP_PER_LEVEL;
+            return {
+                level,
+                levelEstimated: true,
+                levelProgress: this.buildLevelProgress(mainXP, levelStartXP, levelStartXP + CONFIG.XP_PER_LEVEL)
+            };
+        }
+
+        const level = mainLevels[mainLevels.length - 1].amount;
+        return {
+            level,
+            levelEstimated: false,
+            levelProgress: this.buildLevelProgress(mainXP, Utils.getXPForLevel(level), Utils.getXPForLevel(level + 1))
+        };
+    }
+
+    /**
+     * Build progress towards the next level
+     * XP is clamped to the level bounds, since the approximate curve and the recorded level can disagree.
+     * @param {number} xp - Main event XP
+     * @param {number} levelStartXP - Total XP at which the current level starts
+     * @param {number} nextLevelXP - Total XP at which the next level starts
+     * @returns {object} - { xpIntoLevel, xpToNextLevel, levelSize, percent }
+     */
+    buildLevelProgress(xp, levelStartXP, nextLevelXP) {
+        const levelSize = nextLevelXP - levelStartXP;
+        const xpIntoLevel = Math.min(Math.max(xp - levelStartXP, 0), levelSize);
+
+        return {
+            xpIntoLevel,
+            xpToNextLevel: levelSize - xpIntoLevel,
+            levelSize,
+            percent: Utils.calculatePercentage(xpIntoLevel, levelSize)
+        };
+    }
+
+    /**
+     * Build audit stats (Section 3)
+     * @param {object} auditData - Audit up/down sums
+     * @returns {object} - Audit fields
+     */
+    buildAuditStats(auditData) {
+        return {
+            auditUp: auditData.up,
+            auditDown: auditData.down,
+            auditRatio: auditData.down > 0 ? (auditData.up / auditData.down).toFixed(2) : 'N/A'
+        };
+    }
+
+    /**
+     * Build audit ledger and audit history stats
+     * @param {object} auditLedger - { given, received, transactions }
+     * @returns {object} - Audit history fields
+     */
+    buildAuditHistoryStats(auditLedger) {
+        const given = auditLedger.transactions.filter(t => t.type === 'up');
+
+        return {
+            auditLedger: this.buildAuditLedger(auditLedger),
+            auditTransactions: auditLedger.transactions,
+            averageAuditXP: given.length > 0
+                ? given.reduce((sum, t) => sum + t.amount, 0) / given.length
+                : 0
+        };
+    }
+
+    /**
+     * Build the audit ledger
+     * Each audit is paired with the up (given) or down (received) transaction for the
+     * same project path, taking the earliest unused one created after the audit.
+     * Transactions without a matching audit are kept so the totals still add up.
+     * @param {object} auditLedger - { given, received, transactions }
+     * @returns {Array} - Ledger entries, most recent first
+     */
+    buildAuditLedger(auditLedger) {
+        const unused = auditLedger.transactions.slice();
+
+        const takeTransaction = (type, audit) => {
+            const candidates = unused.filter(t => t.type === type && t.path === audit.group?.path);
+            const match = candidates.find(t => new Date(t.createdAt) >= new Date(audit.createdAt)) || candidates[0];
+            if (match) unused.splice(unused.indexOf(match), 1);
+            return match;
+        };
+
+        const toEntry = (direction, audit, transaction) => {
+            const path = audit?.group?.path || transaction.path;
+            let verdict = 'pending';
+            if (!audit) verdict = 'unknown';
+            else if (audit.grade !== null && audit.grade !== undefined) verdict = audit.grade >= 1 ? 'pass' : 'fail';
+
+            return {
+                id: audit ? `audit-${audit.id}` : `transaction-${transaction.id}`,
+                direction,
+                project: audit?.group?.object?.name || path?.split('/').pop() || 'Unknown',
+                path,
+                group: audit?.group ? `${audit.group.captainLogin}'s group` : '—',
+                auditor: direction === 'received' ? audit?.auditor?.login || '—' : 'You',
+                createdAt: transaction ? transaction.createdAt : audit.createdAt,
+                verdict,
+                amount: transaction ? transaction.amount : 0
+            };
+        };
+
+        const entries = [
+            ...auditLedger.given.map(audit => toEntry('given', audit, takeTransaction('up', audit))),
+            ...auditLedger.received.map(audit => toEntry('received', audit, takeTransaction('down', audit))),
+            ...unused.map(t => toEntry(t.type === 'up' ? 'given' : 'received', null, t))
         ];
+
+        return entries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     }
 
     /**
-     * Fetch comprehensive user data
-     * @returns {Promise<object>} - Complete user profile data
+     * Group progress or result rows into one entry per object
+     * Every retry adds a row, so each object is judged on its best grade: passed once
+     * any attempt passed, in progress while the latest attempt has no grade yet,
+     * failed otherwise.
+     * @param {Array} rows - Progress or result rows
+     * @returns {Array} - Entries ({ objectId, path, name, attempts, latest, best, status }), most recent first
      */
-    async fetchCompleteUserData() {
-        try {
-            Utils.showLoading();
-            
-            const userId = auth.getCurrentUserId();
-            if (!userId) {
-                throw new Error('User ID not available');
+    groupAttempts(rows) {
+        const groups = new Map();
+
+        rows.forEach(row => {
+            const key = row.objectId || row.path;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+
+        return Array.from(groups.values())
+            .map(group => {
+                const attempts = group.slice().sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+                const latest = attempts[attempts.length - 1];
+                const graded = attempts.filter(a => a.grade !== null && a.grade !== undefined);
+                const best = graded.reduce((top, a) => (!top || a.grade > top.grade ? a : top), null);
+
+                let status = 'failed';
+                if (best && best.grade >= 1) {
+                    status = 'passed';
+                } else if (latest.grade === null || latest.grade === undefined) {
+                    status = 'in_progress';
+                }
+
+                return {
+                    objectId: latest.objectId,
+                    path: latest.path,
+                    name: latest.object?.name || latest.path?.split('/').pop() || 'Unknown',
+                    type: latest.object?.type,
+                    attempts,
+                    latest,
+                    best,
+                    grade: best ? best.grade : null,
+                    status
+                };
+            })
+            .sort((a, b) => new Date(b.latest.createdAt) - new Date(a.latest.createdAt));
+    }
+
+    /**
+     * Build project pass/fail and piscine stats
+     * Counts objects rather than rows, so retries do not inflate the failures.
+     * @param {Array} progress - Progress rows
+     * @returns {object} - Progress fields
+     */
+    buildProgressStats(progress) {
+        const progressByObject = this.groupAttempts(progress);
+        const countStatus = status => progressByObject.filter(p => p.status === status).length;
+
+        // Calculate pass/fail ratios over finished objects
+        const passedProjects = countStatus('passed');
+        const failedProjects = countStatus('failed');
+        const inProgressProjects = countStatus('in_progress');
+        const totalProjects = passedProjects + failedProjects;
+
+        // Calculate piscine stats
+        const piscineProgress = progressByObject.filter(p =>
+            Utils.isPathInScope(p.path, 'piscine-go') || Utils.isPathInScope(p.path, 'piscine-js')
+        );
+
+        return {
+            progress,
+            progressByObject,
+            passedProjects,
+            failedProjects,
+            inProgressProjects,
+            totalProjects,
+            passRate: totalProjects > 0 ? Utils.calculatePercentage(passedProjects, totalProjects) : 0,
+            piscineProgress
+        };
+    }
+
+    /**
+     * Build project attempt history and retry stats
+     * @param {Array} results - Result rows
+     * @returns {object} - Attempt fields
+     */
+    buildAttemptStats(results) {
+        const projectAttempts = this.groupAttempts(results).filter(p => p.type === 'project');
+        const passed = projectAttempts.filter(p => p.status === 'passed');
+        const finished = projectAttempts.filter(p => p.status !== 'in_progress');
+
+        // Attempts up to and including the first passing one
+        const attemptsToPass = passed.map(p => p.attempts.findIndex(a => a.grade >= 1) + 1);
+        const firstTryPasses = attemptsToPass.filter(count => count === 1).length;
+
+        return {
+            projectAttempts,
+            attemptStats: {
+                averageAttemptsToPass: attemptsToPass.length > 0
+                    ? (attemptsToPass.reduce((sum, count) => sum + count, 0) / attemptsToPass.length).toFixed(1)
+                    : 'N/A',
+                firstTryPassRate: Utils.calculatePercentage(firstTryPasses, finished.length),
+                mostRetried: projectAttempts
+                    .filter(p => p.attempts.length > 1)
+                    .sort((a, b) => b.attempts.length - a.attempts.length)
+                    .slice(0, 5)
             }
+        };
+    }
 
-            // Fetch all data in parallel
-            const [
-                userInfo,
-                transactions,
-                auditData,
-                progress,
-                results,
-                projects,
-                skills
-            ] = await Promise.all([
-                this.fetchUserInfo(),
-                this.fetchUserTransactions(userId),
-                this.fetchAuditData(userId),
-                this.fetchUserProgress(userId),
-                this.fetchUserResults(userId),
-                this.fetchUserProjects(userId),
-                this.fetchUserSkills(userId).catch((error) => {
-                    console.warn('Skills fetch failed, using fallback:', error);
-                    return this.generateFallbackSkills();
-                })
-            ]);
-
-            // Process and combine data
-            const totalXP = transactions.reduce((sum, t) => sum + (t.amount || 0), 0);
-            const level = Utils.calculateLevel(totalXP);
-
-            // Calculate pass/fail ratios
-            const passedProjects = progress.filter(p => p.grade >= 1).length;
-            const failedProjects = progress.filter(p => p.grade === 0).length;
-            const totalProjects = passedProjects + failedProjects;
-
-            // Calculate piscine stats
-            const piscineProgress = progress.filter(p =>
-                p.path && (
-                    p.path.includes('piscine-js') ||
-                    p.path.includes('piscine-go') ||
-                    //  p.path.includes('piscine-rust') ||
-                    p.path.includes('/js/') ||
-                    // p.path.includes('/rust/') ||
-                    p.path.includes('/go/')
-                )
+    /**
+     * Build group history and frequent collaborators
+     * A group's grade is the user's first result for the group's path recorded after
+     * the group was created, so retries in new groups get their own grade.
+     * @param {number} userId - User ID
+     * @param {Array} groups - Groups with members
+     * @param {Array} results - Result rows
+     * @returns {object} - Group fields
+     */
+    buildGroupStats(userId, groups, results) {
+        const resultsByDate = results.slice().sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        const collaborators = new Map();
+
+        const groupHistory = groups.map(group => {
+            const result = resultsByDate.find(r =>
+                r.path === group.path && new Date(r.createdAt) >= new Date(group.createdAt)
             );
+            const project = group.object?.name || group.path.split('/').pop();
+            const members = group.members.map(m => m.user?.login || `#${m.userId}`);
 
-            const userData = {
-                // Basic info (Section 1)
-                id: userId,
-                login: userInfo.login,
-                firstName: userInfo.firstName || userInfo.login,
-                lastName: userInfo.lastName || '',
-                email: userInfo.email || '',
+            group.members
+                .filter(m => m.userId !== userId)
+                .forEach(m => {
+                    const login = m.user?.login || `#${m.userId}`;
+                    const entry = collaborators.get(login) || { login, count: 0, projects: [] };
+                    entry.count++;
+                    entry.projects.push(project);
+                    collaborators.set(login, entry);
+                });
 
-                // XP and Level (Section 2)
-                totalXP,
-                level,
-                transactions,
-                formattedXP: Utils.formatXP(totalXP),
-
-                // Audit info (Section 3)
-                auditUp: auditData.up,
-                auditDown: auditData.down,
-                auditRatio: auditData.down > 0 ? (auditData.up / auditData.down).toFixed(2) : 'N/A',
-
-                // Progress and Projects
-                progress,
-                results,
-                projects,
-                passedProjects,
-                failedProjects,
-                totalProjects,
-                passRate: totalProjects > 0 ? Utils.calculatePercentage(passedProjects, totalProjects) : 0,
-
-                // Skills (bonus)
-                skills,
-
-                // Piscine data
-                piscineProgress,
-
-                // Metadata
-                lastUpdated: new Date().toISOString(),
-                dataComplete: true
+            return {
+                id: group.id,
+                project,
+                path: group.path,
+                status: group.status,
+                captain: group.captainLogin,
+                members,
+                createdAt: group.createdAt,
+                grade: result && result.grade !== null ? result.grade : null
             };
+        });
 
-            // Store user data
-            localStorage.setItem(CONFIG.USER_KEY, JSON.stringify(userData));
-            
-            Utils.hideLoading();
-            return userData;
+        return {
+            groupHistory,
+            frequentCollaborators: Array.from(collaborators.values())
+                .sort((a, b) => b.count - a.count || a.login.localeCompare(b.login))
+                .slice(0, 10)
+        };
+    }
 
-        } catch (error) {
-            Utils.hideLoading();
-            console.error('Error fetching user data:', error);
-            throw error;
+    /**
+     * Build skill stats (bonus)
+     * @param {Array} skillTransactions - skill_* transactions
+     * @returns {object} - Skill fields
+     */
+    buildSkillStats(skillTransactions) {
+        return {
+            skillTransactions,
+            skills: this.processSkillsData(skillTransactions)
+        };
+    }
+
+    /**
+     * Fetch all dashboard data in one aliased GraphQL request
+     * @param {number} userId - User ID
+     * @returns {Promise<object>} - Raw dashboard data
+     */
+    async fetchCombinedUserData(userId) {
+        const query = Queries.getCompleteUserData(userId);
+        const response = await this.executeQuery(query);
+        const data = response.data;
+
+        if (!data.user || data.user.length === 0) {
+            throw new AppError('User information not found', 'NO_DATA');
         }
+
+        return {
+            userInfo: data.user[0],
+            transactions: data.transactions || [],
+            auditData: {
+                up: data.auditUp.aggregate.sum?.amount || 0,
+                down: data.auditDown.aggregate.sum?.amount || 0
+            },
+            progress: data.progress || [],
+            results: data.results || [],
+            projects: data.projects || [],
+            skillTransactions: data.skillTransactions || [],
+            levelTransactions: data.levelTransactions || [],
+            auditLedger: {
+                given: data.auditsGiven || [],
+                received: data.auditsReceived || [],
+                transactions: data.auditTransactions || []
+            },
+            groups: data.groups || []
+        };
     }
 
     /**
      * Get cached user data
+     * Returns expired entries too, flagged with `stale` so callers can revalidate
      * @returns {object|null} - Cached user data or null
      */
     getCachedUserData() {
+        const userId = this.userId;
+        if (!userId) return null;
+
+        const cached = queryCache.get(Queries.getCompleteUserData(userId));
+        if (!cached) return null;
+
         try {
-            const cached = localStorage.getItem(CONFIG.USER_KEY);
-            return cached ? JSON.parse(cached) : null;
+            const userData = this.buildUserData(userId, cached.data, cached.fetchedAt);
+            userData.stale = cached.stale;
+            return userData;
         } catch (error) {
             console.error('Error reading cached data:', error);
             return null;
@@ -437,7 +1088,7 @@ class API {
      * Clear cached user data
      */
     clearCache() {
-        localStorage.removeItem(CONFIG.USER_KEY);
+        queryCache.clear();
     }
 
     /**
@@ -458,3 +1109,4 @@ class API {
 
 // Create global API instance
 window.api = new API();
+api.connect(auth);
@@ -33,7 +33,7 @@ class App {
             
         } catch (error) {
             console.error('❌ Application initialization failed:', error);
-            Utils.showError('Failed to initialize application: ' + error.message);
+            Utils.showError('Failed to initialize application: ' + Utils.getErrorMessage(error));
             UI.renderLogin();
         }
     }
@@ -53,8 +53,9 @@ class App {
      * @param {Error} error - Error object
      */
     handleError(error) {
+        if (error instanceof RequestCancelledError) return;
         console.error('Application Error:', error);
-        Utils.showError(error.message || 'An unexpected error occurred');
+        Utils.showError(Utils.getErrorMessage(error));
     }
 
     /**
@@ -74,7 +75,8 @@ class App {
                 },
                 storage: {
                     tokenKey: CONFIG.TOKEN_KEY,
-                    userKey: CONFIG.USER_KEY
+                    accountsKey: CONFIG.ACCOUNTS_KEY,
+                    cachePrefix: CONFIG.CACHE_PREFIX
                 }
             }
         };
@@ -185,12 +187,19 @@ window.addEventListener('error', (event) => {
 window.addEventListener('unhandledrejection', (event) => {
     console.error('Unhandled Promise Rejection:', event.reason);
     if (window.app) {
-        app.handleError(new Error(event.reason));
+        app.handleError(event.reason instanceof Error ? event.reason : new Error(event.reason));
     } else {
         Utils.showError('An unexpected error occurred. Please try again.');
     }
 });
 
+// Cancel in-flight requests when leaving the page
+window.addEventListener('pagehide', () => {
+    if (window.api) {
+        api.cancelAllRequests();
+    }
+});
+
 // Create global app instance
 const app = new App();
 
@@ -266,7 +275,8 @@ if (typeof window !== 'undefined') {
                 'project-ratio-chart',
                 'xp-by-project-chart',
                 'piscine-stats-chart',
-                'skills-chart'
+                'skills-chart',
+                'skill-progression-chart'
             ];
 
             console.log('Chart containers:');
@@ -2,51 +2,74 @@
 
 /**
  * Authentication class to handle login/logout operations
+ * Session changes are published as events so other modules can react without
+ * Auth knowing about them:
+ * - `login` ({ accountId, remember, remote }) - an account signed in
+ * - `logout` ({ accountId, showMessage, reason }) - an account signed out ('user', 'idle' or 'remote')
+ * - `expiring` ({ expiresAt }) - the token expires within SESSION_WARNING_TIME
+ * - `expired` ({ accountId, label, expiresAt }) - the user has to sign in again
+ * - `tokenChanged` ({ accountId, previousAccountId, userId, token, expiresAt, remember, remote }) -
+ *   the active token was replaced, renewed or removed (accountId null)
  */
 class Auth {
     constructor() {
+        this.listeners = {};
         this.isLoggedIn = false;
         this.currentUser = null;
+        this.sessionTimers = {};
+        this.reauthRequest = null;
+        this.sessionAccountId = null;
+        this.channel = null;
+        this.lastActivityWrite = 0;
     }
 
     /**
      * Authenticate user with credentials
      * @param {string} username - Username or email
      * @param {string} password - Password
+     * @param {boolean} remember - Keep the session after the browser closes
      * @returns {Promise<string>} - JWT token
-     * @throws {Error} - Authentication error
+     * @throws {AuthenticationError|NetworkError} - Authentication error
      */
-    async login(username, password) {
+    async login(username, password, remember = false) {
         try {
             // Validate input
             if (!username || !password) {
-                throw new Error('Username and password are required');
+                throw new AuthenticationError('Username and password are required', 'MISSING_CREDENTIALS');
             }
 
             // Show loading
             Utils.showLoading();
 
+            // The token belongs to the campus whose endpoint issued it
+            const campus = CONFIG.CAMPUS;
+
             // Encode credentials
             const encodedCredentials = Utils.base64Encode(`${username}:${password}`);
             if (!encodedCredentials) {
-                throw new Error('Failed to encode credentials');
+                throw new AuthenticationError('Failed to encode credentials', 'INVALID_CREDENTIALS');
             }
 
             // Make authentication request
-            const response = await fetch(CONFIG.AUTH_ENDPOINT, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Basic ${encodedCredentials}`,
-                    'Content-Type': 'application/json'
-                },
-            });
+            let response;
+            try {
+                response = await fetch(CONFIG.AUTH_ENDPOINT, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Basic ${encodedCredentials}`,
+                        'Content-Type': 'application/json'
+                    },
+                });
+            } catch (error) {
+                throw new NetworkError(error.message);
+            }
 
             // Handle response
             if (!response.ok) {
-                if (response.status === 401) {
-                    throw new Error(CONFIG.ERRORS.INVALID_CREDENTIALS);
+                if (response.status === 401 || response.status === 403) {
+                    throw new AuthenticationError(`HTTP ${response.status}`, 'INVALID_CREDENTIALS');
                 } else {
-                    throw new Error(`${CONFIG.ERRORS.NETWORK_ERROR} (${response.status})`);
+                    throw new NetworkError(`HTTP ${response.status}: ${response.statusText}`, response.status);
                 }
             }
 
@@ -54,18 +77,21 @@ class Auth {
             const token = typeof data === 'string' ? data : data.jwt;
 
             if (!token) {
-                throw new Error('No token received from server');
+                throw new AuthenticationError('No token received from server', 'INVALID_CREDENTIALS');
             }
 
             // Validate token
             const payload = Utils.parseJwt(token);
             if (!payload || !payload.sub) {
-                throw new Error('Invalid token received');
+                throw new AuthenticationError('Invalid token received', 'INVALID_CREDENTIALS');
             }
 
-            // Store token
-            localStorage.setItem(CONFIG.TOKEN_KEY, token);
-            this.isLoggedIn = true;
+            // Store token as the active account, keeping any other saved accounts
+            this.setActiveToken(token, remember);
+            this.saveAccount(token, username, remember, campus);
+            this.beginSession();
+            this.emit('login', { accountId: this.sessionAccountId, remember, remote: false });
+            this.broadcast('login');
 
             Utils.hideLoading();
             return token;
@@ -79,23 +105,41 @@ class Auth {
 
     /**
      * Logout current user
+     * Other saved accounts stay signed in; the next one becomes active.
+     * @param {boolean} showMessage - Show the logout confirmation message
+     * @param {string} reason - 'user' or 'idle'
      */
-    logout() {
+    logout(showMessage = true, reason = 'user') {
         try {
+            this.stopSessionTimers();
+            this.settleReauth(new RequestCancelledError('Signed out during re-authentication'));
+
+            // Forget this account; subscribers drop its requests and cached data
+            const remembered = this.isRemembered();
+            const accountId = this.getActiveAccountId();
+            if (accountId) {
+                this.removeAccount(accountId);
+            }
+            this.clearActiveToken();
+            this.emit('logout', { accountId, showMessage, reason });
+
+            // Other tabs share a remembered account, so tell them whatever this tab switches to next
+            if (remembered) {
+                this.broadcast('logout');
+            }
+
+            const nextAccount = this.getAccounts()[0];
+            if (nextAccount) {
+                this.switchAccount(nextAccount.id);
+                return;
+            }
+
             // Clear stored data
             Utils.clearStoredData();
             
             // Reset state
-            this.isLoggedIn = false;
             this.currentUser = null;
-
-            // Show success message
-            Utils.showSuccess(CONFIG.SUCCESS.LOGOUT);
-
-            // Redirect to login
-            setTimeout(() => {
-                UI.renderLogin();
-            }, 1000);
+            this.endSession();
 
         } catch (error) {
             console.error('Logout error:', error);
@@ -103,6 +147,154 @@ class Auth {
         }
     }
 
+    /**
+     * Get saved accounts
+     * Remembered accounts live in localStorage, session-only ones in this tab's sessionStorage.
+     * @returns {Array} - Accounts ({ id, userId, campus, label, token, remember })
+     */
+    getAccounts() {
+        return [
+            ...this.readAccounts(localStorage).map(account => ({ ...account, remember: true })),
+            ...this.readAccounts(sessionStorage).map(account => ({ ...account, remember: false }))
+        ];
+    }
+
+    /**
+     * Read the accounts saved in one storage area
+     * @param {Storage} storage - localStorage or sessionStorage
+     * @returns {Array} - Accounts ({ id, userId, campus, label, token })
+     */
+    readAccounts(storage) {
+        try {
+            return JSON.parse(storage.getItem(CONFIG.ACCOUNTS_KEY)) || [];
+        } catch (error) {
+            console.error('Error reading saved accounts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the saved account that owns the stored token
+     * The campus selected on the login screen or in the URL can differ from the
+     * campus that issued the token, so the account record is the source of truth.
+     * @returns {object|null} - Account ({ id, userId, campus, label, token, remember }) or null
+     */
+    getActiveAccount() {
+        const token = this.getToken();
+        if (!token) return null;
+
+        return this.getAccounts().find(account => account.token === token) || null;
+    }
+
+    /**
+     * Get the ID of the active account
+     * User IDs are only unique per campus, so the campus is part of the ID.
+     * @returns {string|null} - Account ID or null if not authenticated
+     */
+    getActiveAccountId() {
+        const account = this.getActiveAccount();
+        return account ? account.id : null;
+    }
+
+    /**
+     * Save or update an account
+     * @param {string} token - JWT token
+     * @param {string} label - Name shown in the account switcher
+     * @param {boolean} remember - Keep the account after the browser closes
+     * @param {string} campus - Key into CONFIG.CAMPUSES of the campus that issued the token
+     */
+    saveAccount(token, label, remember, campus) {
+        const userId = parseInt(Utils.parseJwt(token).sub, 10);
+        const id = `${campus}:${userId}`;
+        const storage = remember ? localStorage : sessionStorage;
+
+        this.removeAccount(id);
+        const accounts = this.readAccounts(storage);
+        accounts.push({ id, userId, campus, label, token });
+        storage.setItem(CONFIG.ACCOUNTS_KEY, JSON.stringify(accounts));
+    }
+
+    /**
+     * Remove a saved account
+     * @param {string} accountId - Account ID
+     */
+    removeAccount(accountId) {
+        [localStorage, sessionStorage].forEach(storage => {
+            const accounts = this.readAccounts(storage).filter(account => account.id !== accountId);
+            storage.setItem(CONFIG.ACCOUNTS_KEY, JSON.stringify(accounts));
+        });
+    }
+
+    /**
+     * Store the active token
+     * @param {string} token - JWT token
+     * @param {boolean} remember - Persist in localStorage rather than this tab's sessionStorage
+     */
+    setActiveToken(token, remember) {
+        sessionStorage.removeItem(CONFIG.TOKEN_KEY);
+        (remember ? localStorage : sessionStorage).setItem(CONFIG.TOKEN_KEY, token);
+    }
+
+    /**
+     * Remove the active token from wherever it is stored
+     */
+    clearActiveToken() {
+        (this.isRemembered() ? localStorage : sessionStorage).removeItem(CONFIG.TOKEN_KEY);
+    }
+
+    /**
+     * Check whether the active session persists after the browser closes
+     * @returns {boolean} - False for session-only sign-ins
+     */
+    isRemembered() {
+        return !sessionStorage.getItem(CONFIG.TOKEN_KEY);
+    }
+
+    /**
+     * Make a saved account the active one
+     * @param {string} accountId - Account ID
+     * @returns {boolean} - True if the account was switched to
+     */
+    switchAccount(accountId) {
+        const account = this.getAccounts().find(a => a.id === accountId);
+        if (!account) return false;
+
+        this.settleReauth(new RequestCancelledError('Switched account during re-authentication'));
+
+        if (account.campus !== CONFIG.CAMPUS) {
+            applyCampus(account.campus, true);
+        }
+        this.setActiveToken(account.token, account.remember);
+
+        // An expired account is dropped, moving on to the next one
+        if (!this.validateSession()) return false;
+
+        this.beginSession();
+        this.broadcast('tokenChanged');
+        return true;
+    }
+
+    /**
+     * Sign in with a token obtained elsewhere, e.g. pasted into GraphiQL
+     * The token is saved as a remembered account of the active campus, like a login there.
+     * @param {string} token - JWT token
+     * @returns {boolean} - False if the token is malformed or already expired
+     */
+    useToken(token) {
+        const payload = Utils.parseJwt(token);
+        if (!payload || !payload.sub) return false;
+        if (payload.exp && payload.exp * 1000 <= Date.now()) return false;
+
+        this.settleReauth(new RequestCancelledError('Switched account during re-authentication'));
+
+        this.setActiveToken(token, true);
+        this.saveAccount(token, payload.login || `User #${payload.sub}`, true, CONFIG.CAMPUS);
+        this.beginSession();
+        this.emit('login', { accountId: this.sessionAccountId, remember: true, remote: false });
+        this.broadcast('login');
+        return true;
+    }
+
     /**
      * Check if user is currently authenticated
      * @returns {boolean} - Authentication status
@@ -128,7 +320,7 @@ class Auth {
      * @returns {string|null} - JWT token or null
      */
     getToken() {
-        return localStorage.getItem(CONFIG.TOKEN_KEY);
+        return Utils.getStoredToken();
     }
 
     /**
@@ -150,6 +342,13 @@ class Auth {
                 return false;
             }
 
+            // Remembered sessions on shared machines end once left idle
+            if (this.isIdleExpired()) {
+                console.log('💤 Session idle for too long, logging out');
+                this.logout(false, 'idle');
+                return false;
+            }
+
             return true;
         } catch (error) {
             console.error('Session validation error:', error);
@@ -159,17 +358,376 @@ class Auth {
     }
 
     /**
-     * Initialize authentication state
+     * Get when the current token expires
+     * @returns {number|null} - Expiry timestamp in milliseconds, or null without a token
      */
-    init() {
+    getSessionExpiry() {
         const token = this.getToken();
-        if (token && this.validateSession()) {
-            this.isLoggedIn = true;
+        if (!token) return null;
+
+        const payload = Utils.parseJwt(token);
+        return payload && payload.exp ? payload.exp * 1000 : null;
+    }
+
+    /**
+     * Check whether the current token has expired
+     * @returns {boolean} - True if a token is stored but past its expiry
+     */
+    isSessionExpired() {
+        const expiresAt = this.getSessionExpiry();
+        return expiresAt !== null && expiresAt <= Date.now();
+    }
+
+    /**
+     * Schedule the expiry warning and re-login prompt for the current token
+     */
+    startSessionTimers() {
+        this.stopSessionTimers();
+
+        const expiresAt = this.getSessionExpiry();
+        if (!expiresAt) return;
+
+        this.setSessionTimer('warning', expiresAt - CONFIG.SESSION_WARNING_TIME, () => {
+            console.log('⏳ Session expires soon');
+            this.emit('expiring', { expiresAt });
+        });
+        this.setSessionTimer('expiry', expiresAt, () => {
+            console.log('🔐 Session expired, asking to sign in again');
+            this.requestReauth().catch(() => {});
+        });
+
+        if (this.isRemembered() && CONFIG.IDLE_TIMEOUT) {
+            this.recordActivity(true);
+            this.scheduleIdleCheck();
+        }
+    }
+
+    /**
+     * Schedule the idle timeout check for a remembered session
+     * Activity in any tab pushes the deadline back, so the check re-arms until it is really due.
+     */
+    scheduleIdleCheck() {
+        this.setSessionTimer('idle', this.getLastActivity() + CONFIG.IDLE_TIMEOUT, () => {
+            if (this.validateSession()) {
+                this.scheduleIdleCheck();
+            }
+        });
+    }
+
+    /**
+     * Get when the user was last active in any tab
+     * @returns {number} - Timestamp in milliseconds, or 0 if never recorded
+     */
+    getLastActivity() {
+        return parseInt(localStorage.getItem(CONFIG.LAST_ACTIVE_KEY), 10) || 0;
+    }
+
+    /**
+     * Record user activity for the idle timeout
+     * Writes are throttled since this runs on every pointer and key event.
+     * @param {boolean} force - Write even if the last write was recent
+     */
+    recordActivity(force = false) {
+        if (!this.isLoggedIn || !this.isRemembered() || !CONFIG.IDLE_TIMEOUT) return;
+
+        const now = Date.now();
+        if (force || now - this.lastActivityWrite >= CONFIG.ACTIVITY_WRITE_INTERVAL) {
+            localStorage.setItem(CONFIG.LAST_ACTIVE_KEY, String(now));
+            this.lastActivityWrite = now;
+        }
+    }
+
+    /**
+     * Check whether a remembered session has been idle past the timeout
+     * @returns {boolean} - True if the session should end
+     */
+    isIdleExpired() {
+        const lastActivity = this.getLastActivity();
+        if (!CONFIG.IDLE_TIMEOUT || !lastActivity || !this.isRemembered()) return false;
+
+        return Date.now() - lastActivity >= CONFIG.IDLE_TIMEOUT;
+    }
+
+    /**
+     * Cancel scheduled session timers
+     */
+    stopSessionTimers() {
+        Object.values(this.sessionTimers).forEach(timer => clearTimeout(timer));
+        this.sessionTimers = {};
+    }
+
+    /**
+     * Run a callback at a given time
+     * setTimeout overflows past ~24.8 days, so long delays are re-armed in steps.
+     * @param {string} name - Timer name
+     * @param {number} at - Timestamp in milliseconds
+     * @param {Function} callback - Function to run
+     */
+    setSessionTimer(name, at, callback) {
+        const MAX_DELAY = 2147483647;
+        const delay = Math.max(at - Date.now(), 0);
+
+        this.sessionTimers[name] = setTimeout(() => {
+            if (Date.now() < at) {
+                this.setSessionTimer(name, at, callback);
+                return;
+            }
+            delete this.sessionTimers[name];
+            callback();
+        }, Math.min(delay, MAX_DELAY));
+    }
+
+    /**
+     * Ask the user to sign in again without leaving the current view
+     * Callers share one prompt; requests waiting on it are re-sent once it resolves.
+     * @returns {Promise<void>} - Resolves after re-login, rejects with RequestCancelledError if abandoned
+     */
+    requestReauth() {
+        if (!this.reauthRequest) {
+            const accountId = this.getActiveAccountId();
+            const account = this.getAccounts().find(a => a.id === accountId);
+
+            this.reauthRequest = { accountId };
+            this.reauthRequest.promise = new Promise((resolve, reject) => {
+                this.reauthRequest.resolve = resolve;
+                this.reauthRequest.reject = reject;
+            });
+
+            this.emit('expired', {
+                accountId,
+                label: account ? account.label : '',
+                expiresAt: this.getSessionExpiry()
+            });
+        }
+
+        return this.reauthRequest.promise;
+    }
+
+    /**
+     * Sign in from the re-login prompt
+     * Signing in as the same account resumes waiting requests; another account
+     * gets its own dashboard instead.
+     * @param {string} username - Username or email
+     * @param {string} password - Password
+     * @returns {Promise<boolean>} - True if the same account signed in again
+     * @throws {AuthenticationError|NetworkError} - Authentication error
+     */
+    async reauthenticate(username, password) {
+        const expectedAccountId = this.reauthRequest ? this.reauthRequest.accountId : this.getActiveAccountId();
+
+        await this.login(username, password, this.isRemembered());
+
+        if (this.getActiveAccountId() === expectedAccountId) {
+            this.settleReauth();
             return true;
+        }
+
+        this.settleReauth(new RequestCancelledError('Signed in as another account'));
+        return false;
+    }
+
+    /**
+     * Close the re-login prompt, resolving or rejecting requests waiting on it
+     * @param {Error|null} error - Rejection reason, or null to resolve
+     */
+    settleReauth(error = null) {
+        const request = this.reauthRequest;
+        if (!request) return;
+
+        this.reauthRequest = null;
+
+        if (error) {
+            request.reject(error);
         } else {
-            this.isLoggedIn = false;
+            request.resolve();
+        }
+    }
+
+    /**
+     * Subscribe to a session event
+     * @param {string} event - 'login' | 'logout' | 'expiring' | 'expired' | 'tokenChanged'
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} - Unsubscribe function
+     */
+    on(event, handler) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Unsubscribe from a session event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to `on`
+     */
+    off(event, handler) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(listener => listener !== handler);
+    }
+
+    /**
+     * Notify subscribers of a session event
+     * A failing subscriber is logged and doesn't stop the others.
+     * @param {string} event - Event name
+     * @param {object} detail - Event detail
+     */
+    emit(event, detail = {}) {
+        (this.listeners[event] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Describe the active session for event subscribers
+     * @returns {object} - { accountId, userId, token, expiresAt, remember, allowedRoles, defaultRole, cohortRole }
+     */
+    getSessionDetail() {
+        return {
+            accountId: this.getActiveAccountId(),
+            userId: this.getCurrentUserId(),
+            token: this.getToken(),
+            expiresAt: this.getSessionExpiry(),
+            remember: this.isRemembered(),
+            ...this.getRoles(),
+            cohortRole: this.getCohortRole()
+        };
+    }
+
+    /**
+     * Mark the active account as this tab's session
+     * @param {boolean} remote - The change was made in another tab
+     */
+    beginSession(remote = false) {
+        const previousAccountId = this.sessionAccountId;
+
+        this.isLoggedIn = true;
+        this.sessionAccountId = this.getActiveAccountId();
+        this.startSessionTimers();
+        this.emit('tokenChanged', { ...this.getSessionDetail(), previousAccountId, remote });
+    }
+
+    /**
+     * End this tab's session once no account is left
+     * @param {boolean} remote - The change was made in another tab
+     */
+    endSession(remote = false) {
+        const previousAccountId = this.sessionAccountId;
+
+        this.isLoggedIn = false;
+        this.sessionAccountId = null;
+        this.stopSessionTimers();
+        this.emit('tokenChanged', { ...this.getSessionDetail(), previousAccountId, remote });
+    }
+
+    /**
+     * Listen for user activity and session changes made in other tabs
+     */
+    initSync() {
+        if (this.channel) return;
+
+        ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => this.recordActivity(), { passive: true });
+        });
+
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel(CONFIG.AUTH_CHANNEL);
+        this.channel.addEventListener('message', (e) => this.handleSyncMessage(e.data));
+    }
+
+    /**
+     * Tell other tabs about a session change
+     * Only remembered sessions are announced; a session-only sign-in stays private to its tab.
+     * Receivers re-read the shared storage, so the message carries nothing but its type.
+     * @param {string} type - 'login' | 'logout' | 'tokenChanged'
+     */
+    broadcast(type) {
+        if (!this.channel) return;
+        if (type !== 'logout' && !this.isRemembered()) return;
+
+        this.channel.postMessage({ type });
+    }
+
+    /**
+     * Apply a session change made in another tab
+     * Remembered sessions share localStorage, so this tab only re-reads it and nothing is
+     * broadcast back. A session-only sign-in keeps its own token and ignores other tabs.
+     * @param {object} message - { type }
+     */
+    handleSyncMessage(message) {
+        console.log(`🔄 Session ${message.type} in another tab`);
+
+        // The campus comes from the account that owns this tab's token, never from the sender
+        const account = this.getActiveAccount();
+        if (account && account.campus !== CONFIG.CAMPUS) {
+            applyCampus(account.campus);
+        }
+
+        // Same account with a fresh token: keep the view and resume anything waiting on re-login
+        const accountId = account ? account.id : null;
+        if (accountId === this.sessionAccountId) {
+            if (accountId && !this.isSessionExpired()) {
+                this.beginSession(true);
+                this.settleReauth();
+            }
+            return;
+        }
+
+        this.settleReauth(new RequestCancelledError('Session changed in another tab'));
+
+        if (!accountId) {
+            this.emit('logout', { accountId: this.sessionAccountId, showMessage: false, reason: 'remote' });
+            this.endSession(true);
+            return;
+        }
+
+        this.beginSession(true);
+        if (message.type === 'login') {
+            this.emit('login', { accountId, remember: this.isRemembered(), remote: true });
+        }
+    }
+
+    /**
+     * Initialize authentication state
+     */
+    init() {
+        this.initSync();
+
+        const token = this.getToken();
+        if (!token) return false;
+
+        // Sessions from before accounts were saved become the first account. Only the
+        // default campus was supported then, so that is the campus that issued them.
+        let account = this.getActiveAccount();
+        const payload = account ? null : Utils.parseJwt(token);
+        if (payload && payload.sub) {
+            this.saveAccount(token, payload.login || `User #${payload.sub}`, this.isRemembered(), CONFIG.DEFAULT_CAMPUS);
+            account = this.getActiveAccount();
+        }
+
+        if (!account) {
+            console.log('🔐 Stored token is not a valid JWT, signing in again');
+            this.clearActiveToken();
             return false;
         }
+
+        if (account.campus !== CONFIG.CAMPUS) {
+            applyCampus(account.campus);
+        }
+
+        if (this.validateSession()) {
+            this.beginSession();
+            return true;
+        }
+
+        // An expired session may have handed over to another saved account
+        return this.isLoggedIn;
     }
 
     /**
@@ -178,11 +736,12 @@ class Auth {
      */
     handleAuthError(error) {
         console.error('Authentication error:', error);
-        
-        if (error.message.includes('401') || error.message.includes('token')) {
-            this.logout();
-        } else {
-            Utils.showError(error.message || CONFIG.ERRORS.NETWORK_ERROR);
+
+        Utils.showError(Utils.getErrorMessage(error));
+
+        // Only a rejected session ends it; other failures leave the user logged in
+        if (error instanceof AuthenticationError) {
+            this.logout(false);
         }
     }
 
@@ -195,6 +754,48 @@ class Auth {
         throw new Error('Token refresh not implemented');
     }
 
+    /**
+     * Get the Hasura roles granted by the current token
+     * @returns {object} - { allowedRoles, defaultRole }
+     */
+    getRoles() {
+        const token = this.getToken();
+        const payload = token ? Utils.parseJwt(token) : null;
+        let claims = payload ? payload[CONFIG.HASURA_CLAIMS_KEY] : null;
+
+        // Hasura also accepts the claims as a JSON string
+        if (typeof claims === 'string') {
+            try {
+                claims = JSON.parse(claims);
+            } catch (error) {
+                console.error('Error parsing Hasura claims:', error);
+                claims = null;
+            }
+        }
+
+        return {
+            allowedRoles: (claims && claims['x-hasura-allowed-roles']) || [],
+            defaultRole: (claims && claims['x-hasura-default-role']) || null
+        };
+    }
+
+    /**
+     * Check whether the current token grants a Hasura role
+     * @param {string} role - Role name
+     * @returns {boolean} - True if the role is allowed
+     */
+    hasRole(role) {
+        return this.getRoles().allowedRoles.includes(role);
+    }
+
+    /**
+     * Get the role to run cohort-wide queries as
+     * @returns {string|null} - First role in CONFIG.COHORT_ROLES the token grants, or null if none
+     */
+    getCohortRole() {
+        return CONFIG.COHORT_ROLES.find(role => this.hasRole(role)) || null;
+    }
+
     /**
      * Get user info from token
      * @returns {object|null} - User info or null
@@ -209,6 +810,7 @@ class Auth {
                 id: payload.sub,
                 username: payload.username || payload.login,
                 email: payload.email,
+                roles: this.getRoles(),
                 exp: payload.exp,
                 iat: payload.iat
             };
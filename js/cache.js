@@ -0,0 +1,156 @@
+// Cache Module - Client-side query cache
+
+/**
+ * QueryCache class storing query results in Web Storage
+ * Entries are keyed by account, operation name and variables, and carry their own TTL.
+ * Namespacing by account keeps each saved account's data apart, and session-only
+ * accounts cache in sessionStorage so their data goes away with the tab.
+ * Expired entries are still returned (flagged as stale) so the UI can paint them
+ * while fresh data is fetched in the background.
+ */
+class QueryCache {
+    constructor() {
+        this.prefix = CONFIG.CACHE_PREFIX;
+        this.accountId = null;
+        this.remember = true;
+    }
+
+    /**
+     * Follow session changes published by Auth
+     * @param {Auth} session - Session whose account namespaces the cache
+     */
+    connect(session) {
+        session.on('tokenChanged', ({ accountId, remember }) => {
+            this.accountId = accountId;
+            this.remember = remember;
+        });
+
+        // Signing out drops that account's cached data
+        session.on('logout', ({ accountId }) => {
+            if (accountId) this.clear(accountId);
+        });
+    }
+
+    /**
+     * Build cache key for a query
+     * @param {object} queryObject - GraphQL query object ({ query, variables })
+     * @returns {string} - Cache key
+     */
+    getKey(queryObject) {
+        const operationName = queryObject.operationName || Utils.getOperationName(queryObject.query) || 'anonymous';
+        const variables = queryObject.variables || {};
+        const sortedVariables = Object.keys(variables)
+            .sort()
+            .reduce((sorted, name) => {
+                sorted[name] = variables[name];
+                return sorted;
+            }, {});
+
+        return `${this.getAccountPrefix(this.accountId)}${operationName}:${JSON.stringify(sortedVariables)}`;
+    }
+
+    /**
+     * Build key prefix shared by all entries of an account
+     * @param {string|null} accountId - Account ID (see Auth.getActiveAccountId)
+     * @returns {string} - Key prefix
+     */
+    getAccountPrefix(accountId) {
+        return `${this.prefix}${accountId || 'anonymous'}:`;
+    }
+
+    /**
+     * Get the storage area for the active account's entries
+     * @returns {Storage} - localStorage for remembered sessions, sessionStorage otherwise
+     */
+    getStorage() {
+        return this.remember ? localStorage : sessionStorage;
+    }
+
+    /**
+     * Get TTL for an operation
+     * @param {object} queryObject - GraphQL query object
+     * @returns {number} - TTL in milliseconds
+     */
+    getTTL(queryObject) {
+        const operationName = queryObject.operationName || Utils.getOperationName(queryObject.query);
+        return CONFIG.CACHE_TTL[operationName] || CONFIG.CACHE_TTL.default;
+    }
+
+    /**
+     * Read cache entry
+     * @param {object} queryObject - GraphQL query object
+     * @returns {object|null} - { data, fetchedAt, stale } or null if missing
+     */
+    get(queryObject) {
+        try {
+            const raw = this.getStorage().getItem(this.getKey(queryObject));
+            if (!raw) return null;
+
+            const entry = JSON.parse(raw);
+            const now = Date.now();
+
+            // Entries past the maximum age are too old to show at all
+            if (now - entry.fetchedAt > CONFIG.CACHE_MAX_AGE) {
+                this.remove(queryObject);
+                return null;
+            }
+
+            return {
+                data: entry.data,
+                fetchedAt: entry.fetchedAt,
+                stale: now > entry.expiresAt
+            };
+        } catch (error) {
+            console.error('Error reading cache entry:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Write cache entry
+     * @param {object} queryObject - GraphQL query object
+     * @param {*} data - Data to cache
+     * @param {number} ttl - Optional TTL override in milliseconds
+     */
+    set(queryObject, data, ttl = null) {
+        const fetchedAt = Date.now();
+        const entry = {
+            data,
+            fetchedAt,
+            expiresAt: fetchedAt + (ttl || this.getTTL(queryObject))
+        };
+
+        try {
+            this.getStorage().setItem(this.getKey(queryObject), JSON.stringify(entry));
+        } catch (error) {
+            // Quota exceeded - drop everything cached and carry on without caching
+            console.warn('Unable to write cache entry, clearing cache:', error);
+            this.clear();
+        }
+    }
+
+    /**
+     * Remove cache entry
+     * @param {object} queryObject - GraphQL query object
+     */
+    remove(queryObject) {
+        this.getStorage().removeItem(this.getKey(queryObject));
+    }
+
+    /**
+     * Remove cache entries
+     * @param {string|null} accountId - Only remove this account's entries; all entries if omitted
+     */
+    clear(accountId = null) {
+        const prefix = accountId ? this.getAccountPrefix(accountId) : this.prefix;
+        [localStorage, sessionStorage].forEach(storage => {
+            Object.keys(storage)
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => storage.removeItem(key));
+        });
+    }
+}
+
+// Create global cache instance
+window.queryCache = new QueryCache();
+queryCache.connect(auth);
@@ -9,8 +9,9 @@ class Charts {
      * Create XP progress over time chart
      * @param {Array} transactions - Transaction data
      * @param {string} containerId - Container element ID
+     * @param {Array|null} cohortBands - Optional cohort samples ({ date, p25, median, p75 }) to overlay
      */
-    static createXPProgressChart(transactions, containerId) {
+    static createXPProgressChart(transactions, containerId, cohortBands = null) {
         const container = document.getElementById(containerId);
         if (!container) {
             console.error(`❌ Chart container not found: ${containerId}`);
@@ -61,7 +62,35 @@ class Charts {
         // Scales
         const minDate = chartData[0].date;
         const maxDate = chartData[chartData.length - 1].date;
-        const maxXP = Math.max(...chartData.map(d => d.xp));
+        const maxXP = Math.max(...chartData.map(d => d.xp), ...(cohortBands || []).map(b => b.p75));
+
+        // Cohort overlay: 25th-75th percentile band and median line
+        if (cohortBands && cohortBands.length > 1) {
+            const bandX = band => (band.date - minDate) / (maxDate - minDate) * chartWidth;
+            const bandY = xp => chartHeight - (xp / maxXP * chartHeight);
+
+            const upper = cohortBands.map(b => `${bandX(b)} ${bandY(b.p75)}`);
+            const lower = cohortBands.slice().reverse().map(b => `${bandX(b)} ${bandY(b.p25)}`);
+            const band = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            band.setAttribute('d', `M ${upper.join(' L ')} L ${lower.join(' L ')} Z`);
+            band.setAttribute('fill', CONFIG.CHART_COLORS.secondary);
+            band.setAttribute('fill-opacity', '0.15');
+            const bandTitle = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            bandTitle.textContent = 'Cohort 25th-75th percentile';
+            band.appendChild(bandTitle);
+            chartGroup.appendChild(band);
+
+            const median = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            median.setAttribute('d', `M ${cohortBands.map(b => `${bandX(b)} ${bandY(b.median)}`).join(' L ')}`);
+            median.setAttribute('fill', 'none');
+            median.setAttribute('stroke', CONFIG.CHART_COLORS.secondary);
+            median.setAttribute('stroke-width', '2');
+            median.setAttribute('stroke-dasharray', '6,4');
+            const medianTitle = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            medianTitle.textContent = 'Cohort median';
+            median.appendChild(medianTitle);
+            chartGroup.appendChild(median);
+        }
 
         // Create path for line
         let pathData = '';
@@ -201,13 +230,123 @@ class Charts {
         container.appendChild(svg);
     }
 
+    /**
+     * Create audit ratio over time chart
+     * Plots the cumulative up/down ratio after each audit transaction, with the 1.0 threshold.
+     * @param {Array} auditTransactions - up/down transactions, oldest first
+     * @param {string} containerId - Container element ID
+     */
+    static createAuditRatioHistoryChart(auditTransactions, containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        // The ratio is undefined until something has been received
+        let up = 0;
+        let down = 0;
+        const chartData = [];
+        (auditTransactions || []).forEach(t => {
+            if (t.type === 'up') up += t.amount;
+            else down += t.amount;
+            if (down > 0) {
+                chartData.push({ date: new Date(t.createdAt), ratio: up / down, type: t.type, amount: t.amount });
+            }
+        });
+
+        if (chartData.length < 2) {
+            container.innerHTML = '<p style="color: var(--color-text-secondary); text-align: center; padding: 20px;">Not enough audit history for chart</p>';
+            return;
+        }
+
+        const width = 600;
+        const height = 300;
+        const margin = { top: 20, right: 30, bottom: 40, left: 60 };
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        bg.setAttribute('width', width);
+        bg.setAttribute('height', height);
+        bg.setAttribute('fill', CONFIG.CHART_COLORS.background);
+        bg.setAttribute('stroke', CONFIG.CHART_COLORS.border);
+        svg.appendChild(bg);
+
+        const chartGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        chartGroup.setAttribute('transform', `translate(${margin.left}, ${margin.top})`);
+
+        // Scales - always keep the 1.0 threshold in view
+        const minDate = chartData[0].date;
+        const maxDate = chartData[chartData.length - 1].date;
+        const maxRatio = Math.max(1.2, ...chartData.map(d => d.ratio)) * 1.1;
+        const xScale = date => (maxDate > minDate ? (date - minDate) / (maxDate - minDate) : 0.5) * chartWidth;
+        const yScale = ratio => chartHeight - (ratio / maxRatio * chartHeight);
+
+        // Threshold line
+        const threshold = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        threshold.setAttribute('x1', 0);
+        threshold.setAttribute('y1', yScale(1));
+        threshold.setAttribute('x2', chartWidth);
+        threshold.setAttribute('y2', yScale(1));
+        threshold.setAttribute('stroke', CONFIG.CHART_COLORS.warning);
+        threshold.setAttribute('stroke-width', '1');
+        threshold.setAttribute('stroke-dasharray', '6,4');
+        chartGroup.appendChild(threshold);
+
+        const thresholdLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        thresholdLabel.setAttribute('x', -8);
+        thresholdLabel.setAttribute('y', yScale(1) + 4);
+        thresholdLabel.setAttribute('text-anchor', 'end');
+        thresholdLabel.setAttribute('fill', CONFIG.CHART_COLORS.warning);
+        thresholdLabel.setAttribute('font-size', '11');
+        thresholdLabel.textContent = '1.0';
+        chartGroup.appendChild(thresholdLabel);
+
+        // Ratio line
+        const pathData = chartData
+            .map((point, index) => `${index === 0 ? 'M' : 'L'} ${xScale(point.date)} ${yScale(point.ratio)}`)
+            .join(' ');
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', pathData);
+        path.setAttribute('fill', 'none');
+        path.setAttribute('stroke', CONFIG.CHART_COLORS.secondary);
+        path.setAttribute('stroke-width', '2');
+        chartGroup.appendChild(path);
+
+        // Data points, colored by which side of the threshold they fall on
+        chartData.forEach(point => {
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('cx', xScale(point.date));
+            circle.setAttribute('cy', yScale(point.ratio));
+            circle.setAttribute('r', '3');
+            circle.setAttribute('fill', point.ratio >= 1 ? CONFIG.CHART_COLORS.success : CONFIG.CHART_COLORS.danger);
+
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = `Date: ${Utils.formatDate(point.date)}\nRatio: ${point.ratio.toFixed(2)}\n${point.type === 'up' ? 'Given' : 'Received'}: ${Utils.formatXP(point.amount)}`;
+            circle.appendChild(title);
+
+            chartGroup.appendChild(circle);
+        });
+
+        this.addAxes(chartGroup, chartWidth, chartHeight);
+
+        svg.appendChild(chartGroup);
+        container.innerHTML = '';
+        container.appendChild(svg);
+    }
+
     /**
      * Create project pass/fail ratio pie chart
      * @param {number} passed - Number of passed projects
      * @param {number} failed - Number of failed projects
+     * @param {number} inProgress - Number of projects without a grade yet
      * @param {string} containerId - Container element ID
      */
-    static createProjectRatioChart(passed, failed, containerId) {
+    static createProjectRatioChart(passed, failed, inProgress, containerId) {
         const container = document.getElementById(containerId);
         if (!container) return;
 
@@ -221,7 +360,8 @@ class Charts {
         svg.setAttribute('height', size);
         svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
 
-        const total = passed + failed;
+        const finished = passed + failed;
+        const total = finished + inProgress;
         if (total === 0) {
             const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
             text.setAttribute('x', centerX);
@@ -237,6 +377,7 @@ class Charts {
 
         const passedAngle = (passed / total) * 2 * Math.PI;
         const failedAngle = (failed / total) * 2 * Math.PI;
+        const inProgressAngle = (inProgress / total) * 2 * Math.PI;
 
         // Passed slice
         if (passed > 0) {
@@ -266,6 +407,21 @@ class Charts {
             svg.appendChild(failedPath);
         }
 
+        // In progress slice
+        if (inProgress > 0) {
+            const startAngle = passedAngle + failedAngle;
+            const inProgressPath = this.createPieSlice(centerX, centerY, radius, startAngle, startAngle + inProgressAngle);
+            inProgressPath.setAttribute('fill', CONFIG.CHART_COLORS.warning);
+            inProgressPath.setAttribute('stroke', 'white');
+            inProgressPath.setAttribute('stroke-width', '2');
+
+            const inProgressTitle = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            inProgressTitle.textContent = `In progress: ${inProgress} (${Utils.calculatePercentage(inProgress, total)}%)`;
+            inProgressPath.appendChild(inProgressTitle);
+
+            svg.appendChild(inProgressPath);
+        }
+
         // Center text
         const centerText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
         centerText.setAttribute('x', centerX);
@@ -274,7 +430,7 @@ class Charts {
         centerText.setAttribute('fill', '#333');
         centerText.setAttribute('font-size', '16');
         centerText.setAttribute('font-weight', 'bold');
-        centerText.textContent = `${Utils.calculatePercentage(passed, total)}%`;
+        centerText.textContent = `${Utils.calculatePercentage(passed, finished)}%`;
         svg.appendChild(centerText);
 
         const centerSubtext = document.createElementNS('http://www.w3.org/2000/svg', 'text');
@@ -292,7 +448,7 @@ class Charts {
 
     /**
      * Create skills chart (bonus)
-     * @param {Array} skills - Skills data
+     * @param {Array} skills - Current skill values ({ name, amount })
      * @param {string} containerId - Container element ID
      */
     static createSkillsChart(skills, containerId) {
@@ -306,8 +462,8 @@ class Charts {
             container.innerHTML = `
                 <div style="text-align: center; padding: 40px; color: var(--color-text-secondary);">
                     <div style="font-size: 48px; margin-bottom: 16px;">🎯</div>
-                    <p>Skills data will appear here as you complete more projects!</p>
-                    <p style="font-size: 14px; margin-top: 8px;">Keep coding to unlock your skill breakdown.</p>
+                    <p>No skills recorded yet.</p>
+                    <p style="font-size: 14px; margin-top: 8px;">Skills are awarded by the platform as you pass projects.</p>
                 </div>
             `;
             return;
@@ -338,10 +494,12 @@ class Charts {
 
         // Process top 5 skills
         const topSkills = skills
-            .slice(0, 5)
-            .sort((a, b) => b.amount - a.amount);
+            .slice()
+            .sort((a, b) => b.amount - a.amount)
+            .slice(0, 5);
 
-        const maxAmount = Math.max(...topSkills.map(s => s.amount));
+        // Skill values are percentages, so scale bars against 100
+        const maxAmount = Math.max(100, ...topSkills.map(s => s.amount));
         const barHeight = chartHeight / topSkills.length - 10;
 
         topSkills.forEach((skill, index) => {
@@ -364,7 +522,7 @@ class Charts {
             label.setAttribute('text-anchor', 'end');
             label.setAttribute('fill', '#333');
             label.setAttribute('font-size', '12');
-            label.textContent = skill.object?.name || `Skill ${index + 1}`;
+            label.textContent = skill.name;
             chartGroup.appendChild(label);
 
             // Value
@@ -373,7 +531,7 @@ class Charts {
             value.setAttribute('y', y + barHeight / 2 + 5);
             value.setAttribute('fill', '#333');
             value.setAttribute('font-size', '12');
-            value.textContent = skill.amount;
+            value.textContent = `${skill.amount}%`;
             chartGroup.appendChild(value);
         });
 
@@ -382,6 +540,127 @@ class Charts {
         container.appendChild(svg);
     }
 
+    /**
+     * Create skill progression over time chart (bonus)
+     * Draws one line per skill_* type; legend entries toggle their series on and off.
+     * @param {Array} skillTransactions - skill_* transactions, oldest first
+     * @param {string} containerId - Container element ID
+     */
+    static createSkillProgressionChart(skillTransactions, containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (!skillTransactions || skillTransactions.length === 0) {
+            container.innerHTML = '<p style="color: var(--color-text-secondary); text-align: center; padding: 20px;">No skill history available</p>';
+            return;
+        }
+
+        const width = 600;
+        const height = 300;
+        const margin = { top: 20, right: 30, bottom: 40, left: 60 };
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+
+        // Group into one series per skill, keeping the running maximum value
+        const seriesMap = new Map();
+        skillTransactions
+            .slice()
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(t => {
+                if (!seriesMap.has(t.type)) {
+                    seriesMap.set(t.type, { type: t.type, name: Utils.formatSkillName(t.type), points: [] });
+                }
+                const points = seriesMap.get(t.type).points;
+                const previous = points.length > 0 ? points[points.length - 1].value : 0;
+                points.push({ date: new Date(t.createdAt), value: Math.max(previous, t.amount), gained: t.amount - previous });
+            });
+
+        // Strongest skills first, so they get the first colors
+        const series = Array.from(seriesMap.values())
+            .sort((a, b) => b.points[b.points.length - 1].value - a.points[a.points.length - 1].value);
+
+        const minDate = new Date(skillTransactions.reduce((min, t) => Math.min(min, new Date(t.createdAt)), Infinity));
+        const maxDate = new Date(Math.max(Date.now(), minDate.getTime() + 1));
+        const maxValue = Math.max(100, ...series.map(s => s.points[s.points.length - 1].value));
+        const xScale = date => (date - minDate) / (maxDate - minDate) * chartWidth;
+        const yScale = value => chartHeight - (value / maxValue * chartHeight);
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        // Background
+        const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        bg.setAttribute('width', width);
+        bg.setAttribute('height', height);
+        bg.setAttribute('fill', CONFIG.CHART_COLORS.background);
+        bg.setAttribute('stroke', CONFIG.CHART_COLORS.border);
+        svg.appendChild(bg);
+
+        const chartGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        chartGroup.setAttribute('transform', `translate(${margin.left}, ${margin.top})`);
+
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+
+        series.forEach((skill, index) => {
+            const color = CONFIG.CHART_COLORS.series[index % CONFIG.CHART_COLORS.series.length];
+            const seriesGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+
+            // Step line: a skill keeps its value until the next transaction, then runs on to today
+            let pathData = '';
+            skill.points.forEach((point, pointIndex) => {
+                const x = xScale(point.date);
+                const y = yScale(point.value);
+                pathData += pointIndex === 0 ? `M ${x} ${y}` : ` H ${x} V ${y}`;
+            });
+            pathData += ` H ${xScale(maxDate)}`;
+
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', pathData);
+            path.setAttribute('fill', 'none');
+            path.setAttribute('stroke', color);
+            path.setAttribute('stroke-width', '2');
+            seriesGroup.appendChild(path);
+
+            skill.points.forEach(point => {
+                const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                circle.setAttribute('cx', xScale(point.date));
+                circle.setAttribute('cy', yScale(point.value));
+                circle.setAttribute('r', '3');
+                circle.setAttribute('fill', color);
+
+                const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = `${skill.name}\nDate: ${Utils.formatDate(point.date)}\nValue: ${point.value}%\nGained: +${Math.max(0, point.gained)}%`;
+                circle.appendChild(title);
+
+                seriesGroup.appendChild(circle);
+            });
+
+            chartGroup.appendChild(seriesGroup);
+
+            // Legend entry toggles the series
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'chart-legend-item';
+            item.innerHTML = `<span class="chart-legend-swatch" style="background: ${color};"></span>${skill.name}`;
+            item.addEventListener('click', () => {
+                const hidden = item.classList.toggle('inactive');
+                seriesGroup.style.display = hidden ? 'none' : '';
+            });
+            legend.appendChild(item);
+        });
+
+        // Axes
+        this.addAxes(chartGroup, chartWidth, chartHeight);
+
+        svg.appendChild(chartGroup);
+        container.innerHTML = '';
+        container.appendChild(legend);
+        container.appendChild(svg);
+    }
+
     /**
      * Create XP earned by project chart
      * @param {Array} transactions - Transaction data with project info
@@ -510,46 +789,34 @@ class Charts {
 
     /**
      * Create Piscine (JS/Go) statistics chart
-     * @param {Array} progress - Progress data
+     * @param {Array} piscineProgress - Piscine progress grouped per object (see API.groupAttempts)
      * @param {string} containerId - Container element ID
      */
-    static createPiscineStatsChart(progress, containerId) {
+    static createPiscineStatsChart(piscineProgress, containerId) {
         const container = document.getElementById(containerId);
-        if (!container || !progress || progress.length === 0) {
-            container.innerHTML = '<p>No piscine data available</p>';
-            return;
-        }
+        if (!container) return;
 
-        // Filter piscine data (JS and Go)
-        const piscineData = progress.filter(p =>
-            p.path && (
-                p.path.includes('piscine-js') ||
-                p.path.includes('piscine-go') ||
-                p.path.includes('/js/') ||
-                p.path.includes('/go/')
-            )
-        );
-
-        if (piscineData.length === 0) {
+        if (!piscineProgress || piscineProgress.length === 0) {
             container.innerHTML = '<p>No piscine data found</p>';
             return;
         }
 
         // Group by piscine type and calculate stats
         const piscineStats = {
-            'JavaScript': { passed: 0, failed: 0, total: 0 },
-            'Go': { passed: 0, failed: 0, total: 0 }
+            'JavaScript': { passed: 0, failed: 0, inProgress: 0, total: 0 },
+            'Go': { passed: 0, failed: 0, inProgress: 0, total: 0 }
         };
 
-        piscineData.forEach(item => {
-            const isJS = item.path.includes('js') || item.path.includes('javascript');
-            const type = isJS ? 'JavaScript' : 'Go';
+        piscineProgress.forEach(item => {
+            const type = Utils.isPathInScope(item.path, 'piscine-js') ? 'JavaScript' : 'Go';
 
             piscineStats[type].total++;
-            if (item.grade >= 1) {
+            if (item.status === 'passed') {
                 piscineStats[type].passed++;
-            } else {
+            } else if (item.status === 'failed') {
                 piscineStats[type].failed++;
+            } else {
+                piscineStats[type].inProgress++;
             }
         });
 
@@ -649,7 +916,7 @@ class Charts {
             statsText.setAttribute('text-anchor', 'middle');
             statsText.setAttribute('fill', '#666');
             statsText.setAttribute('font-size', '10');
-            statsText.textContent = `${stats.passed}P / ${stats.failed}F / ${stats.total}T`;
+            statsText.textContent = `${stats.passed}P / ${stats.failed}F / ${stats.inProgress}IP / ${stats.total}T`;
             chartGroup.appendChild(statsText);
         });
 
@@ -1,17 +1,71 @@
 // Configuration and Constants
 const CONFIG = {
-    // API Endpoints
-    GRAPHQL_ENDPOINT: "https://learn.zone01kisumu.ke/api/graphql-engine/v1/graphql",
-    AUTH_ENDPOINT: "https://learn.zone01kisumu.ke/api/auth/signin",
+    // Campuses: platform domain and the path prefix shared by all object paths
+    CAMPUSES: {
+        kisumu: { label: "Zone01 Kisumu", domain: "learn.zone01kisumu.ke", pathPrefix: "/kisumu/" },
+        oujda: { label: "Zone01 Oujda", domain: "learn.zone01oujda.ma", pathPrefix: "/oujda/" },
+        dakar: { label: "Zone01 Dakar", domain: "learn.zone01dakar.sn", pathPrefix: "/dakar/" }
+    },
+    DEFAULT_CAMPUS: "kisumu",
+    
+    // Active campus settings, set by applyCampus()
+    CAMPUS: null,
+    GRAPHQL_ENDPOINT: null,
+    AUTH_ENDPOINT: null,
+    PATH_PREFIX: null,
     
     // Storage Keys
     TOKEN_KEY: "zone01_token",
-    USER_KEY: "zone01_user",
+    CAMPUS_KEY: "zone01_campus",
+    ACCOUNTS_KEY: "zone01_accounts",
+    LAST_ACTIVE_KEY: "zone01_last_active",
+    XP_SCOPE_KEY: "zone01_xp_scope",
+    CACHE_PREFIX: "zone01_cache:",
+    AUTH_CHANNEL: "zone01_auth",
+    
+    // Cache Settings (milliseconds)
+    CACHE_TTL: {
+        default: 5 * 60 * 1000,
+        GetCompleteUserData: 5 * 60 * 1000,
+        GetLeaderboard: 30 * 60 * 1000,
+        GetCohortProgress: 30 * 60 * 1000,
+        GetSchemaInfo: 24 * 60 * 60 * 1000
+    },
+    CACHE_MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+    
+    // Request Settings (milliseconds)
+    REQUEST: {
+        TIMEOUT: 15000,
+        MAX_ATTEMPTS: 3,
+        RETRY_BASE_DELAY: 500,
+        RETRY_MAX_DELAY: 5000
+    },
+    
+    // Session Settings (milliseconds)
+    SESSION_WARNING_TIME: 5 * 60 * 1000,
+    // Remembered sessions end after this long without activity (null to keep them until the token expires)
+    IDLE_TIMEOUT: 60 * 60 * 1000,
+    ACTIVITY_WRITE_INTERVAL: 30 * 1000,
+    
+    // Hasura Roles
+    HASURA_CLAIMS_KEY: "https://hasura.io/jwt/claims",
+    // Roles that may run cohort-wide queries, in order of preference. Cohort views are offered only
+    // when the token's claims grant one of them (add "user" where students may read event data).
+    COHORT_ROLES: ["admin"],
     
     // UI Settings
     LOADING_DELAY: 500,
     ANIMATION_DURATION: 300,
     
+    // Activity Feed Settings
+    ACTIVITY_WINDOWS: [7, 30, 90],
+    DEFAULT_ACTIVITY_WINDOW: 30,
+    ACTIVITY_PAGE_SIZE: 20,
+    
+    // Leaderboard Settings
+    LEADERBOARD_PAGE_SIZE: 20,
+    COHORT_BAND_SAMPLES: 40,
+    
     // Chart Settings
     CHART_COLORS: {
         primary: "#00ff88",
@@ -26,24 +80,63 @@ const CONFIG = {
         border: "#333333",
         text: "#ffffff",
         textSecondary: "#b0b0b0",
-        greyBlue: "#4a5568"
+        greyBlue: "#4a5568",
+        // Palette for multi-series charts
+        series: ["#00ff88", "#0088ff", "#ffb347", "#ff6b6b", "#b388ff", "#4dd0e1", "#f06292", "#dce775", "#a1887f", "#90a4ae"]
+    },
+    
+    // Display names for skill_* transaction types (others are title-cased)
+    SKILL_LABELS: {
+        go: "Go",
+        js: "JavaScript",
+        html: "HTML",
+        css: "CSS",
+        sql: "SQL",
+        ai: "AI",
+        tcp: "TCP",
+        prog: "Programming",
+        algo: "Algorithms",
+        stats: "Statistics",
+        "sys-admin": "Sys Admin",
+        "front-end": "Front-End",
+        "back-end": "Back-End"
     },
     
+    // XP scopes by event path, relative to PATH_PREFIX
+    // Piscines nested under the module are separate events and excluded from it
+    // `event` is the event path used to rank the scope's cohort on the leaderboard
+    XP_SCOPES: {
+        module: { label: "Main Module", include: ["module/"], exclude: ["module/piscine-"], event: "module" },
+        "piscine-go": { label: "Piscine Go", include: ["piscine-go/"], exclude: [], event: "piscine-go" },
+        "piscine-js": { label: "Piscine JS", include: ["module/piscine-js/", "piscine-js/"], exclude: [], event: "module/piscine-js" },
+        all: { label: "All Events", include: [""], exclude: [] }
+    },
+    DEFAULT_XP_SCOPE: "module",
+    
     // XP Level Calculation
-    XP_PER_LEVEL: 66000,
+    XP_PER_LEVEL: 66000, // Linear fallback when no level transactions exist
     
     // Error Messages
     ERRORS: {
         INVALID_CREDENTIALS: "Invalid username or password",
+        MISSING_CREDENTIALS: "Please enter both username and password",
         NETWORK_ERROR: "Network error. Please check your connection",
+        SERVER_ERROR: "The server is having trouble. Please try again shortly",
+        TIMEOUT: "The server took too long to respond. Please try again",
         TOKEN_EXPIRED: "Session expired. Please login again",
+        SESSION_IDLE: "Logged out after a period of inactivity",
+        FORBIDDEN: "You don't have permission to view this data",
+        ROLE_FORBIDDEN: "Not permitted for your role",
+        CANCELLED: "Request cancelled",
         NO_DATA: "No data available",
-        GRAPHQL_ERROR: "Failed to fetch data from server"
+        GRAPHQL_ERROR: "Failed to fetch data from server",
+        UNKNOWN: "An unexpected error occurred"
     },
     
     // Success Messages
     SUCCESS: {
         LOGIN: "Login successful",
+        REAUTH: "Signed in again, picking up where you left off",
         LOGOUT: "Logged out successfully",
         DATA_LOADED: "Profile data loaded successfully"
     }
@@ -58,6 +151,48 @@ const FEATURES = {
     ENABLE_DARK_MODE: false
 };
 
+/**
+ * Resolve the active campus key
+ * A `?campus=<key>` URL parameter wins (and is saved) over the choice saved in
+ * localStorage, which wins over DEFAULT_CAMPUS. Only campuses listed in CAMPUSES are accepted,
+ * so a link cannot point the login form at an arbitrary domain.
+ * @returns {string} - Key into CONFIG.CAMPUSES
+ */
+function resolveCampus() {
+    const fromUrl = new URLSearchParams(window.location.search).get('campus');
+    if (CONFIG.CAMPUSES[fromUrl]) {
+        localStorage.setItem(CONFIG.CAMPUS_KEY, fromUrl);
+        return fromUrl;
+    }
+
+    const saved = localStorage.getItem(CONFIG.CAMPUS_KEY);
+    if (CONFIG.CAMPUSES[saved]) return saved;
+
+    return CONFIG.DEFAULT_CAMPUS;
+}
+
+/**
+ * Point endpoints and path handling at a campus
+ * @param {string} campusKey - Key into CONFIG.CAMPUSES
+ * @param {boolean} persist - Whether to remember the choice for later visits
+ */
+function applyCampus(campusKey, persist = false) {
+    const campus = CONFIG.CAMPUSES[campusKey];
+    if (!campus) return;
+
+    CONFIG.CAMPUS = campusKey;
+    CONFIG.GRAPHQL_ENDPOINT = `https://${campus.domain}/api/graphql-engine/v1/graphql`;
+    CONFIG.AUTH_ENDPOINT = `https://${campus.domain}/api/auth/signin`;
+    CONFIG.PATH_PREFIX = campus.pathPrefix;
+
+    if (persist) {
+        localStorage.setItem(CONFIG.CAMPUS_KEY, campusKey);
+    }
+}
+
+applyCampus(resolveCampus());
+
 // Export for global access
 window.CONFIG = CONFIG;
 window.FEATURES = FEATURES;
+window.applyCampus = applyCampus;
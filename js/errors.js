@@ -0,0 +1,130 @@
+// Errors Module - Typed application errors
+
+/**
+ * Base class for application errors
+ * Each error maps to a user-facing message in CONFIG.ERRORS via `errorKey`.
+ */
+class AppError extends Error {
+    /**
+     * @param {string} message - Technical error message (for logs)
+     * @param {string} errorKey - Key into CONFIG.ERRORS for the user-facing message
+     */
+    constructor(message, errorKey = 'GRAPHQL_ERROR') {
+        super(message);
+        this.name = this.constructor.name;
+        this.errorKey = errorKey;
+    }
+
+    /**
+     * User-facing message
+     * @returns {string} - Message from CONFIG.ERRORS, or the technical message if unmapped
+     */
+    get userMessage() {
+        return CONFIG.ERRORS[this.errorKey] || this.message;
+    }
+
+    /**
+     * Whether the failed operation may succeed if retried
+     * @returns {boolean} - True if retryable
+     */
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * Missing, invalid or expired credentials (HTTP 401, invalid JWT)
+ */
+class AuthenticationError extends AppError {
+    constructor(message, errorKey = 'TOKEN_EXPIRED') {
+        super(message, errorKey);
+    }
+}
+
+/**
+ * Valid session without permission for the requested data (HTTP 403, access denied)
+ */
+class AuthorizationError extends AppError {
+    constructor(message, errorKey = 'FORBIDDEN') {
+        super(message, errorKey);
+    }
+}
+
+/**
+ * Server unreachable or responding with a transport-level error
+ */
+class NetworkError extends AppError {
+    /**
+     * @param {string} message - Technical error message
+     * @param {number|null} status - HTTP status, or null if no response was received
+     */
+    constructor(message, status = null) {
+        super(message, status >= 500 ? 'SERVER_ERROR' : 'NETWORK_ERROR');
+        this.status = status;
+    }
+
+    get retryable() {
+        return this.status === null || this.status >= 500;
+    }
+}
+
+/**
+ * Request aborted after exceeding its timeout
+ */
+class TimeoutError extends NetworkError {
+    constructor(message) {
+        super(message);
+        this.errorKey = 'TIMEOUT';
+    }
+}
+
+/**
+ * Request aborted by the client (logout, navigation)
+ */
+class RequestCancelledError extends AppError {
+    constructor(message = 'Request cancelled') {
+        super(message, 'CANCELLED');
+    }
+}
+
+/**
+ * GraphQL response containing errors
+ */
+class GraphQLError extends AppError {
+    /**
+     * @param {Array} errors - The `errors` array from the GraphQL response
+     */
+    constructor(errors) {
+        super(`GraphQL Error: ${errors.map(e => e.message).join('; ')}`, 'GRAPHQL_ERROR');
+        this.errors = errors;
+        this.paths = errors.filter(e => e.path).map(e => e.path.join('.'));
+    }
+
+    /**
+     * Create the most specific error for a GraphQL `errors` array
+     * Hasura reports JWT and permission problems as GraphQL errors with extension codes.
+     * @param {Array} errors - The `errors` array from the GraphQL response
+     * @returns {AppError} - Authentication, authorization or GraphQL error
+     */
+    static fromErrors(errors) {
+        const codes = errors.map(e => e.extensions?.code);
+
+        if (codes.includes('invalid-jwt') || codes.includes('invalid-headers')) {
+            return new AuthenticationError(errors[0].message);
+        }
+        if (codes.includes('access-denied') || codes.includes('permission-error')) {
+            return new AuthorizationError(errors[0].message);
+        }
+
+        return new GraphQLError(errors);
+    }
+}
+
+// Export to global scope
+window.AppError = AppError;
+window.AuthenticationError = AuthenticationError;
+window.AuthorizationError = AuthorizationError;
+window.NetworkError = NetworkError;
+window.TimeoutError = TimeoutError;
+window.RequestCancelledError = RequestCancelledError;
+window.GraphQLError = GraphQLError;
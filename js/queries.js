@@ -12,7 +12,7 @@ class Queries {
      */
     static getUserInfo() {
         return {
-            query: `{
+            query: `query GetUserInfo {
                 user {
                     id
                     login
@@ -33,11 +33,11 @@ class Queries {
      */
     static getUserTransactions(userId) {
         return {
-            query: `{
+            query: `query GetUserTransactions($userId: Int!) {
                 transaction(
                     where: {
                         type: {_eq: "xp"},
-                        userId: {_eq: ${userId}}
+                        userId: {_eq: $userId}
                     },
                     order_by: {createdAt: asc}
                 ) {
@@ -48,7 +48,8 @@ class Queries {
                     path
                     objectId
                 }
-            }`
+            }`,
+            variables: { userId }
         };
     }
 
@@ -59,11 +60,11 @@ class Queries {
      */
     static getAuditUp(userId) {
         return {
-            query: `{
+            query: `query GetAuditUp($userId: Int!) {
                 transaction_aggregate(
                     where: {
                         type: {_eq: "up"},
-                        userId: {_eq: ${userId}}
+                        userId: {_eq: $userId}
                     }
                 ) {
                     aggregate {
@@ -72,7 +73,8 @@ class Queries {
                         }
                     }
                 }
-            }`
+            }`,
+            variables: { userId }
         };
     }
 
@@ -83,11 +85,11 @@ class Queries {
      */
     static getAuditDown(userId) {
         return {
-            query: `{
+            query: `query GetAuditDown($userId: Int!) {
                 transaction_aggregate(
                     where: {
                         type: {_eq: "down"},
-                        userId: {_eq: ${userId}}
+                        userId: {_eq: $userId}
                     }
                 ) {
                     aggregate {
@@ -96,7 +98,117 @@ class Queries {
                         }
                     }
                 }
-            }`
+            }`,
+            variables: { userId }
+        };
+    }
+
+    /**
+     * Nested Query: Get audit ledger
+     * Audits the user performed, audits of the user's groups, and the up/down
+     * transactions that moved the audit ratio.
+     * @param {number} userId - User ID
+     * @returns {object} - GraphQL query object
+     */
+    static getAuditLedger(userId) {
+        return {
+            query: `query GetAuditLedger($userId: Int!) {
+                auditsGiven: audit(
+                    where: {
+                        auditorId: {_eq: $userId}
+                    },
+                    order_by: {createdAt: desc}
+                ) {
+                    id
+                    grade
+                    createdAt
+                    group {
+                        id
+                        path
+                        captainLogin
+                        object {
+                            name
+                        }
+                    }
+                }
+
+                auditsReceived: audit(
+                    where: {
+                        group: {
+                            members: {
+                                userId: {_eq: $userId}
+                            }
+                        }
+                    },
+                    order_by: {createdAt: desc}
+                ) {
+                    id
+                    grade
+                    createdAt
+                    auditor {
+                        login
+                    }
+                    group {
+                        id
+                        path
+                        captainLogin
+                        object {
+                            name
+                        }
+                    }
+                }
+
+                auditTransactions: transaction(
+                    where: {
+                        type: {_in: ["up", "down"]},
+                        userId: {_eq: $userId}
+                    },
+                    order_by: {createdAt: asc}
+                ) {
+                    id
+                    type
+                    amount
+                    createdAt
+                    path
+                }
+            }`,
+            variables: { userId }
+        };
+    }
+
+    /**
+     * Nested Query: Get the groups the user has been in, with their members
+     * @param {number} userId - User ID
+     * @returns {object} - GraphQL query object
+     */
+    static getUserGroups(userId) {
+        return {
+            query: `query GetUserGroups($userId: Int!) {
+                groups: group(
+                    where: {
+                        members: {
+                            userId: {_eq: $userId}
+                        }
+                    },
+                    order_by: {createdAt: desc}
+                ) {
+                    id
+                    path
+                    status
+                    captainLogin
+                    createdAt
+                    object {
+                        name
+                    }
+                    members {
+                        userId
+                        user {
+                            login
+                        }
+                    }
+                }
+            }`,
+            variables: { userId }
         };
     }
 
@@ -107,10 +219,10 @@ class Queries {
      */
     static getUserProgress(userId) {
         return {
-            query: `{
+            query: `query GetUserProgress($userId: Int!) {
                 progress(
                     where: {
-                        userId: {_eq: ${userId}}
+                        userId: {_eq: $userId}
                     },
                     order_by: {createdAt: desc}
                 ) {
@@ -127,7 +239,8 @@ class Queries {
                         attrs
                     }
                 }
-            }`
+            }`,
+            variables: { userId }
         };
     }
 
@@ -138,10 +251,10 @@ class Queries {
      */
     static getUserResults(userId) {
         return {
-            query: `{
+            query: `query GetUserResults($userId: Int!) {
                 result(
                     where: {
-                        userId: {_eq: ${userId}}
+                        userId: {_eq: $userId}
                     },
                     order_by: {createdAt: desc}
                 ) {
@@ -159,7 +272,8 @@ class Queries {
                         attrs
                     }
                 }
-            }`
+            }`,
+            variables: { userId }
         };
     }
 
@@ -170,10 +284,10 @@ class Queries {
      */
     static getUserProjects(userId) {
         return {
-            query: `{
+            query: `query GetUserProjects($userId: Int!) {
                 progress(
                     where: {
-                        userId: {_eq: ${userId}},
+                        userId: {_eq: $userId},
                         object: {
                             type: {_eq: "project"}
                         }
@@ -193,25 +307,90 @@ class Queries {
                         attrs
                     }
                 }
-            }`
+            }`,
+            variables: { userId }
         };
     }
 
     /**
-     * Bonus Query: Get user skills data (multiple approaches)
+     * Bonus Query: Get user skill transactions
+     * Zone01 records skills as transaction types such as skill_go, skill_js, skill_algo;
+     * each transaction carries the new value of that skill.
      * @param {number} userId - User ID
      * @returns {object} - GraphQL query object
      */
     static getUserSkills(userId) {
         return {
-            query: `{
-                # Try to get skill transactions
+            query: `query GetUserSkills($userId: Int!) {
                 skillTransactions: transaction(
                     where: {
-                        type: {_eq: "skill"},
-                        userId: {_eq: ${userId}}
+                        type: {_like: "skill_%"},
+                        userId: {_eq: $userId}
                     },
-                    order_by: {amount: desc}
+                    order_by: {createdAt: asc}
+                ) {
+                    id
+                    type
+                    amount
+                    createdAt
+                    path
+                }
+            }`,
+            variables: { userId }
+        };
+    }
+
+    /**
+     * Query: Get user level transactions
+     * Each `level` transaction records the level reached in an event, identified by its path.
+     * @param {number} userId - User ID
+     * @returns {object} - GraphQL query object
+     */
+    static getUserLevels(userId) {
+        return {
+            query: `query GetUserLevels($userId: Int!) {
+                levelTransactions: transaction(
+                    where: {
+                        type: {_eq: "level"},
+                        userId: {_eq: $userId}
+                    },
+                    order_by: {createdAt: asc}
+                ) {
+                    id
+                    amount
+                    createdAt
+                    path
+                }
+            }`,
+            variables: { userId }
+        };
+    }
+
+    /**
+     * Aliased Query: Get all dashboard data in a single round trip
+     * Mirrors the per-section queries above so the results can be processed the same way
+     * @param {number} userId - User ID
+     * @returns {object} - GraphQL query object
+     */
+    static getCompleteUserData(userId) {
+        return {
+            query: `query GetCompleteUserData($userId: Int!) {
+                user {
+                    id
+                    login
+                    firstName
+                    lastName
+                    email
+                    createdAt
+                    updatedAt
+                }
+
+                transactions: transaction(
+                    where: {
+                        type: {_eq: "xp"},
+                        userId: {_eq: $userId}
+                    },
+                    order_by: {createdAt: asc}
                 ) {
                     id
                     type
@@ -219,32 +398,209 @@ class Queries {
                     createdAt
                     path
                     objectId
+                }
+
+                auditUp: transaction_aggregate(
+                    where: {
+                        type: {_eq: "up"},
+                        userId: {_eq: $userId}
+                    }
+                ) {
+                    aggregate {
+                        sum {
+                            amount
+                        }
+                    }
+                }
+
+                auditDown: transaction_aggregate(
+                    where: {
+                        type: {_eq: "down"},
+                        userId: {_eq: $userId}
+                    }
+                ) {
+                    aggregate {
+                        sum {
+                            amount
+                        }
+                    }
+                }
+
+                progress(
+                    where: {
+                        userId: {_eq: $userId}
+                    },
+                    order_by: {createdAt: desc}
+                ) {
+                    id
+                    grade
+                    createdAt
+                    updatedAt
+                    path
+                    objectId
                     object {
+                        id
                         name
                         type
                         attrs
                     }
                 }
 
-                # Get project-based skills from progress
-                projectSkills: progress(
+                results: result(
                     where: {
-                        userId: {_eq: ${userId}},
-                        grade: {_gte: 1}
+                        userId: {_eq: $userId}
                     },
                     order_by: {createdAt: desc}
                 ) {
                     id
                     grade
+                    type
                     createdAt
+                    updatedAt
                     path
+                    objectId
                     object {
+                        id
                         name
                         type
                         attrs
                     }
                 }
-            }`
+
+                projects: progress(
+                    where: {
+                        userId: {_eq: $userId},
+                        object: {
+                            type: {_eq: "project"}
+                        }
+                    },
+                    order_by: {createdAt: desc}
+                ) {
+                    id
+                    grade
+                    createdAt
+                    updatedAt
+                    path
+                    objectId
+                    object {
+                        id
+                        name
+                        type
+                        attrs
+                    }
+                }
+
+                skillTransactions: transaction(
+                    where: {
+                        type: {_like: "skill_%"},
+                        userId: {_eq: $userId}
+                    },
+                    order_by: {createdAt: asc}
+                ) {
+                    id
+                    type
+                    amount
+                    createdAt
+                    path
+                }
+
+                levelTransactions: transaction(
+                    where: {
+                        type: {_eq: "level"},
+                        userId: {_eq: $userId}
+                    },
+                    order_by: {createdAt: asc}
+                ) {
+                    id
+                    amount
+                    createdAt
+                    path
+                }
+
+                auditsGiven: audit(
+                    where: {
+                        auditorId: {_eq: $userId}
+                    },
+                    order_by: {createdAt: desc}
+                ) {
+                    id
+                    grade
+                    createdAt
+                    group {
+                        id
+                        path
+                        captainLogin
+                        object {
+                            name
+                        }
+                    }
+                }
+
+                auditsReceived: audit(
+                    where: {
+                        group: {
+                            members: {
+                                userId: {_eq: $userId}
+                            }
+                        }
+                    },
+                    order_by: {createdAt: desc}
+                ) {
+                    id
+                    grade
+                    createdAt
+                    auditor {
+                        login
+                    }
+                    group {
+                        id
+                        path
+                        captainLogin
+                        object {
+                            name
+                        }
+                    }
+                }
+
+                auditTransactions: transaction(
+                    where: {
+                        type: {_in: ["up", "down"]},
+                        userId: {_eq: $userId}
+                    },
+                    order_by: {createdAt: asc}
+                ) {
+                    id
+                    type
+                    amount
+                    createdAt
+                    path
+                }
+
+                groups: group(
+                    where: {
+                        members: {
+                            userId: {_eq: $userId}
+                        }
+                    },
+                    order_by: {createdAt: desc}
+                ) {
+                    id
+                    path
+                    status
+                    captainLogin
+                    createdAt
+                    object {
+                        name
+                    }
+                    members {
+                        userId
+                        user {
+                            login
+                        }
+                    }
+                }
+            }`,
+            variables: { userId }
         };
     }
 
@@ -255,8 +611,8 @@ class Queries {
      */
     static getUserWithRelations(userId) {
         return {
-            query: `{
-                user(where: {id: {_eq: ${userId}}}) {
+            query: `query GetUserWithRelations($userId: Int!) {
+                user(where: {id: {_eq: $userId}}) {
                     id
                     login
                     firstName
@@ -286,29 +642,36 @@ class Queries {
                         }
                     }
                 }
-            }`
+            }`,
+            variables: { userId }
         };
     }
 
     /**
      * Query with Complex Arguments: Get recent activity
+     * Pages backwards in time: each table resumes strictly after its own (date, id) cursor,
+     * so rows sharing a timestamp are neither repeated nor skipped between pages.
      * @param {number} userId - User ID
-     * @param {number} days - Number of days to look back
+     * @param {string} since - ISO date where the activity window starts
+     * @param {object} cursor - { transaction, progress }, each { at, id } of the last row already loaded
+     *   (`at` is createdAt for transactions and updatedAt for progress)
+     * @param {number} limit - Maximum rows per table
      * @returns {object} - GraphQL query object
      */
-    static getRecentActivity(userId, days = 30) {
-        const dateThreshold = new Date();
-        dateThreshold.setDate(dateThreshold.getDate() - days);
-        const isoDate = dateThreshold.toISOString();
-
+    static getRecentActivity(userId, since, cursor, limit = CONFIG.ACTIVITY_PAGE_SIZE) {
         return {
-            query: `{
+            query: `query GetRecentActivity($userId: Int!, $since: timestamptz!, $transactionBefore: timestamptz!, $transactionId: Int!, $progressBefore: timestamptz!, $progressId: Int!, $limit: Int!) {
                 transaction(
                     where: {
-                        userId: {_eq: ${userId}},
-                        createdAt: {_gte: "${isoDate}"}
+                        userId: {_eq: $userId},
+                        createdAt: {_gte: $since},
+                        _or: [
+                            {createdAt: {_lt: $transactionBefore}},
+                            {createdAt: {_eq: $transactionBefore}, id: {_lt: $transactionId}}
+                        ]
                     },
-                    order_by: {createdAt: desc}
+                    order_by: [{createdAt: desc}, {id: desc}],
+                    limit: $limit
                 ) {
                     id
                     type
@@ -316,41 +679,113 @@ class Queries {
                     createdAt
                     path
                 }
-            }`
+
+                progress(
+                    where: {
+                        userId: {_eq: $userId},
+                        grade: {_is_null: false},
+                        object: {type: {_eq: "project"}},
+                        updatedAt: {_gte: $since},
+                        _or: [
+                            {updatedAt: {_lt: $progressBefore}},
+                            {updatedAt: {_eq: $progressBefore}, id: {_lt: $progressId}}
+                        ]
+                    },
+                    order_by: [{updatedAt: desc}, {id: desc}],
+                    limit: $limit
+                ) {
+                    id
+                    grade
+                    updatedAt
+                    path
+                    object {
+                        name
+                    }
+                }
+            }`,
+            variables: {
+                userId,
+                since,
+                transactionBefore: cursor.transaction.at,
+                transactionId: cursor.transaction.id,
+                progressBefore: cursor.progress.at,
+                progressId: cursor.progress.id,
+                limit
+            }
         };
     }
 
     /**
-     * Bonus Query: Get leaderboard data (if accessible)
-     * @param {number} limit - Number of users to fetch
+     * Bonus Query: Get dated XP transactions for every member of an event (if accessible)
+     * @param {string} eventPath - Event path, e.g. /kisumu/module
+     * @param {string} xpPattern - `_like` pattern for XP transaction paths in the event
+     * @param {string} excludePattern - `_nlike` pattern for nested events to leave out
      * @returns {object} - GraphQL query object
      */
-    static getLeaderboard(limit = 10) {
+    static getCohortProgress(eventPath, xpPattern, excludePattern = '') {
         return {
-            query: `{
-                user(
-                    limit: ${limit},
-                    order_by: {
-                        transactions_aggregate: {
-                            sum: {amount: desc}
+            query: `query GetCohortProgress($eventPath: String!, $xpPattern: String!, $excludePattern: String!) {
+                event_user(
+                    where: {
+                        event: {path: {_eq: $eventPath}}
+                    }
+                ) {
+                    userId
+                    user {
+                        transactions(
+                            where: {
+                                type: {_eq: "xp"},
+                                path: {_like: $xpPattern, _nlike: $excludePattern}
+                            },
+                            order_by: {createdAt: asc}
+                        ) {
+                            amount
+                            createdAt
                         }
                     }
+                }
+            }`,
+            variables: { eventPath, xpPattern, excludePattern }
+        };
+    }
+
+    /**
+     * Bonus Query: Get XP totals for every member of an event (if accessible)
+     * Hasura cannot order users by a filtered aggregate, so the cohort is ranked client-side.
+     * @param {string} eventPath - Event path, e.g. /kisumu/module
+     * @param {string} xpPattern - `_like` pattern for XP transaction paths in the event
+     * @param {string} excludePattern - `_nlike` pattern for nested events to leave out
+     * @returns {object} - GraphQL query object
+     */
+    static getLeaderboard(eventPath, xpPattern, excludePattern = '') {
+        return {
+            query: `query GetLeaderboard($eventPath: String!, $xpPattern: String!, $excludePattern: String!) {
+                event_user(
+                    where: {
+                        event: {path: {_eq: $eventPath}}
+                    }
                 ) {
-                    id
-                    login
-                    firstName
-                    lastName
-                    transactions_aggregate(
-                        where: {type: {_eq: "xp"}}
-                    ) {
-                        aggregate {
-                            sum {
-                                amount
+                    userId
+                    user {
+                        login
+                        firstName
+                        lastName
+                        transactions_aggregate(
+                            where: {
+                                type: {_eq: "xp"},
+                                path: {_like: $xpPattern, _nlike: $excludePattern}
+                            }
+                        ) {
+                            aggregate {
+                                sum {
+                                    amount
+                                }
                             }
                         }
                     }
                 }
-            }`
+            }`,
+            variables: { eventPath, xpPattern, excludePattern }
         };
     }
 
@@ -360,7 +795,7 @@ class Queries {
      */
     static getSchemaInfo() {
         return {
-            query: `{
+            query: `query GetSchemaInfo {
                 __schema {
                     types {
                         name
@@ -378,7 +813,7 @@ class Queries {
      */
     static getAvailableTables() {
         return {
-            query: `{
+            query: `query GetAvailableTables {
                 __schema {
                     queryType {
                         fields {
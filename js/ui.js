@@ -7,15 +7,29 @@ class UI {
     
     /**
      * Render login page
+     * @param {boolean} addingAccount - Signing in an extra account while keeping the current one
      */
-    static renderLogin() {
+    static renderLogin(addingAccount = false) {
+        // Picking another campus below changes the active account ID, so remember it now
+        this.returnAccountId = addingAccount ? auth.getActiveAccountId() : null;
+        this.displayedAccountId = null;
+
         const app = document.getElementById('app');
         app.innerHTML = `
             <div class="login-container fade-in">
                 <h1>Zone01 Profile</h1>
-                <p class="subtitle">Access your learning dashboard</p>
+                <p class="subtitle">${addingAccount ? 'Add another account' : 'Access your learning dashboard'}</p>
                 
                 <form id="login-form">
+                    <div class="form-group">
+                        <label for="campus">Campus</label>
+                        <select id="campus" name="campus">
+                            ${Object.entries(CONFIG.CAMPUSES).map(([key, campus]) => `
+                                <option value="${key}" ${key === CONFIG.CAMPUS ? 'selected' : ''}>${campus.label} (${campus.domain})</option>
+                            `).join('')}
+                        </select>
+                    </div>
+
                     <div class="form-group">
                         <label for="username">Username or Email</label>
                         <input type="text" id="username" name="username" required 
@@ -27,6 +41,11 @@ class UI {
                         <input type="password" id="password" name="password" required 
                                placeholder="Enter your password">
                     </div>
+
+                    <label class="remember-me" for="remember-me">
+                        <input type="checkbox" id="remember-me" name="remember">
+                        <span>Remember me on this device</span>
+                    </label>
                     
                     <button type="submit" class="btn" id="login-btn">
                         Login
@@ -34,6 +53,12 @@ class UI {
                 </form>
                 
                 <div id="login-error" class="error hidden"></div>
+
+                ${addingAccount ? `
+                    <button type="button" class="btn secondary" id="cancel-add-account">
+                        Back to dashboard
+                    </button>
+                ` : ''}
                 
                 ${FEATURES.ENABLE_CUSTOM_GRAPHIQL ? `
                     <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
@@ -59,16 +84,32 @@ class UI {
         const form = document.getElementById('login-form');
         const loginBtn = document.getElementById('login-btn');
         const errorDiv = document.getElementById('login-error');
+        const campusSelect = document.getElementById('campus');
+
+        const cancelBtn = document.getElementById('cancel-add-account');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                if (auth.switchAccount(this.returnAccountId)) {
+                    this.renderProfile();
+                }
+            });
+        }
+
+        // Sign in against the chosen campus and remember it for next time
+        campusSelect.addEventListener('change', () => {
+            applyCampus(campusSelect.value, true);
+        });
 
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
             
             const username = document.getElementById('username').value.trim();
             const password = document.getElementById('password').value;
+            const remember = document.getElementById('remember-me').checked;
 
             // Validate input
             if (!username || !password) {
-                this.showLoginError('Please enter both username and password');
+                this.showLoginError(CONFIG.ERRORS.MISSING_CREDENTIALS);
                 return;
             }
 
@@ -78,7 +119,7 @@ class UI {
             errorDiv.classList.add('hidden');
 
             try {
-                await auth.login(username, password);
+                await auth.login(username, password, remember);
                 Utils.showSuccess(CONFIG.SUCCESS.LOGIN);
                 
                 // Redirect to profile after short delay
@@ -87,7 +128,7 @@ class UI {
                 }, 1000);
 
             } catch (error) {
-                this.showLoginError(error.message);
+                this.showLoginError(Utils.getErrorMessage(error));
             } finally {
                 loginBtn.disabled = false;
                 loginBtn.textContent = 'Login';
@@ -113,61 +154,419 @@ class UI {
 
     /**
      * Render profile dashboard
+     * Cached data is painted instantly; otherwise each section shows a skeleton and
+     * renders as soon as the data it needs arrives.
+     * @returns {Promise<void>} - Resolves once every section has loaded or failed
      */
     static async renderProfile() {
         try {
             console.log('🚀 Starting profile render...');
-            Utils.showLoading();
 
-            // Fetch user data
-            console.log('📊 Fetching user data...');
-            const userData = await api.fetchCompleteUserData();
-            console.log('✅ User data fetched:', userData);
-
-            const app = document.getElementById('app');
-            if (!app) {
-                throw new Error('App container not found');
+            const userId = auth.getCurrentUserId();
+            if (!userId) {
+                throw new AuthenticationError('User ID not available');
             }
+            this.displayedAccountId = auth.getActiveAccountId();
 
-            console.log('🏗️ Building profile HTML...');
-            app.innerHTML = `
-                <div class="profile-container fade-in">
-                    ${this.createProfileHeader(userData)}
-                    ${this.createDashboardGrid(userData)}
-                </div>
-                ${this.createFooter()}
-            `;
-
-            console.log('✅ Profile HTML created, waiting for DOM...');
+            // Paint cached data instantly, revalidating in the background if stale
+            const cachedEntry = queryCache.get(Queries.getCompleteUserData(userId));
 
-            // Create charts after DOM is ready
-            setTimeout(() => {
-                console.log('🎨 Creating charts and JWT display...');
-                this.createAllCharts(userData);
-                this.displayJWTToken();
-            }, 200); // Increased timeout to ensure DOM is ready
+            this.dashboardState = {
+                userId,
+                data: cachedEntry ? { ...cachedEntry.data } : {},
+                errors: {},
+                fetchedAt: cachedEntry ? cachedEntry.fetchedAt : Date.now(),
+                authFailed: false
+            };
 
-            // Attach event listeners
-            this.attachProfileEventListeners();
+            this.auditLedgerView = {
+                direction: 'all',
+                verdict: 'all',
+                search: '',
+                sortKey: 'createdAt',
+                sortDir: 'desc'
+            };
+            this.activityWindow = CONFIG.DEFAULT_ACTIVITY_WINDOW;
+            this.leaderboardView = {
+                scope: CONFIG.XP_SCOPES[Utils.getXPScope()].event ? Utils.getXPScope() : CONFIG.DEFAULT_XP_SCOPE,
+                page: null,
+                ranking: null
+            };
+            this.cohortOverlay = false;
 
+            console.log('🏗️ Building profile shell...');
+            this.renderDashboardShell();
             Utils.hideLoading();
+
+            if (cachedEntry) {
+                console.log('⚡ Painted cached profile data');
+                // Also refresh when the cache predates resources added since it was written
+                if (cachedEntry.stale || !this.getDashboardUserData().dataComplete) {
+                    await this.loadDashboard(true);
+                }
+                return;
+            }
+
+            console.log('📊 Fetching user data...');
+            await this.loadDashboard(false);
             console.log('✅ Profile render complete');
 
         } catch (error) {
             Utils.hideLoading();
+            if (error instanceof RequestCancelledError) return;
             console.error('❌ Error rendering profile:', error);
-            Utils.showError('Failed to load profile data: ' + error.message);
 
-            // Redirect to login if authentication error
-            if (error.message.includes('token') || error.message.includes('401')) {
+            // Authentication errors end the session and return to login
+            if (error instanceof AuthenticationError) {
                 console.log('🔐 Authentication error, redirecting to login...');
-                setTimeout(() => {
-                    this.renderLogin();
-                }, 2000);
+                auth.handleAuthError(error);
+                return;
             }
+
+            Utils.showError('Failed to load profile data: ' + Utils.getErrorMessage(error));
+        }
+    }
+
+    /**
+     * Render profile header, section placeholders and footer
+     */
+    static renderDashboardShell() {
+        const app = document.getElementById('app');
+        if (!app) {
+            throw new Error('App container not found');
+        }
+
+        const userData = this.getDashboardUserData();
+
+        app.innerHTML = `
+            <div class="profile-container fade-in">
+                ${this.createProfileHeader(userData)}
+                ${this.createDashboardToolbar()}
+                ${this.createDashboardGrid()}
+            </div>
+            ${this.createFooter()}
+        `;
+
+        this.getSections().forEach(section => this.renderSection(section));
+        this.updateDataFreshness(userData.lastUpdated);
+
+        // Attach event listeners
+        this.attachProfileEventListeners();
+    }
+
+    /**
+     * Fetch dashboard resources and render sections as they arrive
+     * @param {boolean} background - True when revalidating data that is already on screen
+     * @returns {Promise<void>} - Resolves once every resource has loaded or failed
+     */
+    static async loadDashboard(background) {
+        const state = this.dashboardState;
+
+        if (background) {
+            this.updateDataFreshness(new Date(state.fetchedAt).toISOString(), 'refreshing');
+        }
+
+        const resources = api.loadDashboardResources(state.userId);
+        const results = await this.trackResources(resources);
+        if (state !== this.dashboardState) return;
+
+        if (results.every(result => result.status === 'fulfilled')) {
+            state.fetchedAt = Date.now();
+            api.cacheDashboardData(state.userId, state.data);
+            this.updateDataFreshness(new Date(state.fetchedAt).toISOString());
+        } else if (background) {
+            console.warn('⚠️ Background refresh failed, keeping cached data');
+            this.updateDataFreshness(new Date(state.fetchedAt).toISOString(), 'failed');
         }
     }
 
+    /**
+     * Store each resource as it settles and re-render the sections that use it
+     * @param {object} resources - Map of resource name to Promise of its data
+     * @returns {Promise<Array>} - Settled results, one per resource
+     */
+    static trackResources(resources) {
+        const state = this.dashboardState;
+
+        return Promise.allSettled(Object.entries(resources).map(([name, promise]) =>
+            promise.then(
+                value => {
+                    // Ignore results for a dashboard that has since been replaced
+                    if (state !== this.dashboardState) return;
+                    state.data[name] = value;
+                    delete state.errors[name];
+                    this.renderSectionsUsing(name);
+                },
+                error => {
+                    if (state !== this.dashboardState || error instanceof RequestCancelledError) {
+                        throw error;
+                    }
+
+                    if (error instanceof AuthenticationError) {
+                        if (!state.authFailed) {
+                            state.authFailed = true;
+                            auth.handleAuthError(error);
+                        }
+                        throw error;
+                    }
+
+                    console.error(`❌ Failed to load ${name}:`, error);
+                    state.errors[name] = error;
+
+                    // Keep showing cached content when a background refresh fails
+                    if (!(name in state.data)) {
+                        this.renderSectionsUsing(name);
+                    }
+                    throw error;
+                }
+            )
+        ));
+    }
+
+    /**
+     * Retry loading the resources of a failed section
+     * @param {string} sectionId - Section ID
+     */
+    static async retrySection(sectionId) {
+        const state = this.dashboardState;
+        const section = this.getSections().find(s => s.id === sectionId);
+        if (!state || !section) return;
+
+        const failed = section.resources.filter(name => state.errors[name]);
+        failed.forEach(name => delete state.errors[name]);
+        this.renderSection(section);
+
+        const resources = failed.reduce((map, name) => {
+            map[name] = api.fetchResource(name, state.userId);
+            return map;
+        }, {});
+
+        await this.trackResources(resources);
+    }
+
+    /**
+     * Dashboard section definitions
+     * Each section lists the resources it needs, builds its HTML and draws its charts.
+     * Sections marked `cohort` read other users' data and are shown only while canViewCohort() allows.
+     * @returns {Array} - Section definitions in display order
+     */
+    static getSections() {
+        const sections = [
+            {
+                id: 'user-info',
+                title: '👤 User Information',
+                resources: ['userInfo', 'transactions', 'levelTransactions'],
+                render: userData => this.createUserInfoSection(userData)
+            },
+            {
+                id: 'xp',
+                title: '⚡ Experience Points',
+                resources: ['transactions', 'levelTransactions'],
+                render: userData => this.createXPSection(userData)
+            },
+            {
+                id: 'audits',
+                title: '🔍 Audit Information',
+                resources: ['auditData'],
+                render: userData => this.createAuditSection(userData),
+                draw: userData => Charts.createAuditRatioChart(userData.auditUp, userData.auditDown, 'audit-chart')
+            },
+            {
+                // Pages through its own query instead of the shared dashboard resources
+                id: 'activity',
+                title: '🕒 Recent Activity',
+                resources: [],
+                render: () => this.createActivitySection(),
+                draw: () => this.resetActivityFeed()
+            },
+            {
+                id: 'statistics',
+                title: '📊 Graphical Statistics',
+                resources: ['transactions', 'progress'],
+                fullWidth: true,
+                render: userData => this.createStatisticsSection(userData),
+                draw: userData => {
+                    this.drawXPProgressChart(userData);
+                    Charts.createProjectRatioChart(userData.passedProjects, userData.failedProjects, userData.inProgressProjects, 'project-ratio-chart');
+                    Charts.createXPByProjectChart(userData.transactions, 'xp-by-project-chart');
+                    Charts.createPiscineStatsChart(userData.piscineProgress, 'piscine-stats-chart');
+                }
+            },
+            {
+                id: 'audit-ledger',
+                title: '📒 Audit Ledger',
+                resources: ['auditLedger'],
+                fullWidth: true,
+                render: userData => this.createAuditLedgerSection(userData),
+                draw: userData => Charts.createAuditRatioHistoryChart(userData.auditTransactions, 'audit-history-chart')
+            },
+            {
+                id: 'leaderboard',
+                title: '🏅 Leaderboard',
+                resources: [],
+                fullWidth: true,
+                cohort: true,
+                render: () => this.createLeaderboardSection(),
+                draw: () => this.loadLeaderboard()
+            },
+            {
+                id: 'groups',
+                title: '👥 Groups & Teammates',
+                resources: ['groups', 'results'],
+                fullWidth: true,
+                render: userData => this.createGroupsSection(userData)
+            },
+            {
+                id: 'projects',
+                title: '🗂️ Project Attempts',
+                resources: ['results'],
+                fullWidth: true,
+                render: userData => this.createProjectAttemptsSection(userData)
+            }
+        ];
+
+        if (FEATURES.ENABLE_BONUS_SECTIONS) {
+            sections.push({
+                id: 'bonus',
+                title: '🎯 Skills & Achievements',
+                resources: ['skillTransactions', 'progress', 'transactions', 'levelTransactions'],
+                render: userData => this.createBonusSections(userData),
+                draw: userData => {
+                    Charts.createSkillsChart(userData.skills, 'skills-chart');
+                    Charts.createSkillProgressionChart(userData.skillTransactions, 'skill-progression-chart');
+                    this.displayJWTToken();
+                }
+            });
+        }
+
+        const canViewCohort = this.canViewCohort();
+        return sections.filter(section => !section.cohort || canViewCohort);
+    }
+
+    /**
+     * Check whether cohort views (leaderboard, cohort overlay) can be shown
+     * They need a role from CONFIG.COHORT_ROLES in the token's claims, and are dropped
+     * for an account once Hasura has refused its cohort queries.
+     * @returns {boolean} - True if cohort views should be offered
+     */
+    static canViewCohort() {
+        if (!auth.getCohortRole()) return false;
+        return !(this.cohortDeniedAccounts && this.cohortDeniedAccounts.has(auth.getActiveAccountId()));
+    }
+
+    /**
+     * Remember that Hasura refused cohort queries for the active account
+     * The view that hit the error keeps showing it; later renders leave cohort views out.
+     */
+    static markCohortDenied() {
+        this.cohortDeniedAccounts = this.cohortDeniedAccounts || new Set();
+        this.cohortDeniedAccounts.add(auth.getActiveAccountId());
+    }
+
+    /**
+     * Build user data from whatever dashboard resources have loaded
+     * @returns {object} - User data (possibly partial)
+     */
+    static getDashboardUserData() {
+        const state = this.dashboardState;
+        return api.buildUserData(state.userId, state.data, state.fetchedAt);
+    }
+
+    /**
+     * Re-render header and sections that depend on a resource
+     * @param {string} name - Resource name
+     */
+    static renderSectionsUsing(name) {
+        if (['userInfo', 'transactions', 'levelTransactions'].includes(name)) {
+            this.renderProfileHeaderInfo();
+        }
+
+        this.getSections()
+            .filter(section => section.resources.includes(name))
+            .forEach(section => this.renderSection(section));
+    }
+
+    /**
+     * Render a section as content, error state or loading skeleton
+     * @param {object} section - Section definition
+     */
+    static renderSection(section) {
+        const slot = document.getElementById(`section-${section.id}`);
+        if (!slot) return;
+
+        const state = this.dashboardState;
+        const ready = section.resources.every(name => name in state.data);
+        const failed = section.resources.find(name => state.errors[name]);
+
+        if (ready) {
+            const userData = this.getDashboardUserData();
+            slot.innerHTML = section.render(userData);
+            if (section.draw) {
+                try {
+                    section.draw(userData);
+                } catch (error) {
+                    console.error(`❌ Error creating charts for ${section.id}:`, error);
+                }
+            }
+        } else if (failed) {
+            slot.innerHTML = this.createSectionError(section, state.errors[failed]);
+        } else {
+            slot.innerHTML = this.createSectionSkeleton(section);
+        }
+    }
+
+    /**
+     * Create loading skeleton HTML for a section
+     * @param {object} section - Section definition
+     * @returns {string} - Skeleton HTML
+     */
+    static createSectionSkeleton(section) {
+        return `
+            <div class="dashboard-section section-skeleton ${section.fullWidth ? 'stats-full-width' : ''}">
+                <h2>${section.title}</h2>
+                <div class="info-grid">
+                    ${'<div class="skeleton-block"></div>'.repeat(4)}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create error state HTML for a section
+     * @param {object} section - Section definition
+     * @param {Error} error - Error that prevented the section from loading
+     * @returns {string} - Error HTML
+     */
+    static createSectionError(section, error) {
+        return `
+            <div class="dashboard-section section-error ${section.fullWidth ? 'stats-full-width' : ''}">
+                <h2>${section.title}</h2>
+                <p class="section-error-message">${Utils.getErrorMessage(error)}</p>
+                <button class="btn secondary section-retry-btn" data-retry-section="${section.id}">
+                    Retry
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Update the "data as of" indicator in the profile header
+     * @param {string} lastUpdated - ISO timestamp of the displayed data
+     * @param {string} status - '' | 'refreshing' | 'failed'
+     */
+    static updateDataFreshness(lastUpdated, status = '') {
+        const indicator = document.getElementById('data-freshness');
+        if (!indicator) return;
+
+        const statusText = {
+            refreshing: ' • Refreshing...',
+            failed: ' • Refresh failed'
+        };
+
+        indicator.textContent = `Data as of ${Utils.formatDateTime(lastUpdated)}${statusText[status] || ''}`;
+        indicator.className = `data-freshness ${status}`.trim();
+    }
+
     /**
      * Create profile header HTML
      * @param {object} userData - User data
@@ -177,41 +576,107 @@ class UI {
         return `
             <header class="profile-header">
                 <div>
-                    <h1>Welcome back, ${userData.firstName}!</h1>
-                    <div class="user-meta">
-                        <span>@${userData.login}</span> • 
-                        <span>Level ${userData.level}</span> • 
-                        <span>${userData.formattedXP}</span>
+                    <div id="profile-header-info">
+                        ${this.createProfileHeaderInfo(userData)}
                     </div>
+                    <div class="data-freshness" id="data-freshness"></div>
+                </div>
+                <div class="profile-header-actions">
+                    ${this.createAccountSwitcher()}
+                    <button class="logout-btn" id="logout-btn">
+                        Logout
+                    </button>
                 </div>
-                <button class="logout-btn" id="logout-btn">
-                    Logout
-                </button>
             </header>
         `;
     }
 
     /**
-     * Create dashboard grid HTML
+     * Create account switcher HTML
+     * @returns {string} - Switcher HTML
+     */
+    static createAccountSwitcher() {
+        const activeId = auth.getActiveAccountId();
+        const options = auth.getAccounts()
+            .map(account => `
+                <option value="${account.id}" ${account.id === activeId ? 'selected' : ''}>
+                    ${Utils.escapeHtml(account.label)} · ${Utils.escapeHtml(CONFIG.CAMPUSES[account.campus]?.label || account.campus)}
+                </option>
+            `)
+            .join('');
+
+        return `
+            <select class="account-switcher" id="account-switcher" title="Switch account">
+                ${options}
+                <option value="add">+ Add account</option>
+            </select>
+        `;
+    }
+
+    /**
+     * Format the user's level, marking linear estimates
      * @param {object} userData - User data
+     * @returns {string} - Level label
+     */
+    static formatLevel(userData) {
+        return userData.levelEstimated ? `Level ${userData.level} (estimated)` : `Level ${userData.level}`;
+    }
+
+    /**
+     * Create profile header greeting and meta HTML
+     * @param {object} userData - User data (possibly partial)
+     * @returns {string} - Header info HTML
+     */
+    static createProfileHeaderInfo(userData) {
+        const meta = [];
+        if (userData.login) meta.push(`<span>@${userData.login}</span>`);
+        if (userData.level !== undefined) meta.push(`<span>${this.formatLevel(userData)}</span>`);
+        if (userData.formattedXP) meta.push(`<span>${userData.formattedXP}</span>`);
+
+        return `
+            <h1>${userData.firstName ? `Welcome back, ${userData.firstName}!` : 'Welcome back!'}</h1>
+            <div class="user-meta">${meta.join(' • ')}</div>
+        `;
+    }
+
+    /**
+     * Re-render profile header greeting and meta
+     */
+    static renderProfileHeaderInfo() {
+        const container = document.getElementById('profile-header-info');
+        if (container) {
+            container.innerHTML = this.createProfileHeaderInfo(this.getDashboardUserData());
+        }
+    }
+
+    /**
+     * Create dashboard toolbar HTML (XP scope selector)
+     * @returns {string} - Toolbar HTML
+     */
+    static createDashboardToolbar() {
+        const currentScope = Utils.getXPScope();
+        const options = Object.entries(CONFIG.XP_SCOPES)
+            .map(([key, scope]) => `<option value="${key}" ${key === currentScope ? 'selected' : ''}>${scope.label}</option>`)
+            .join('');
+
+        return `
+            <div class="dashboard-toolbar">
+                <label for="xp-scope-select">XP scope</label>
+                <select id="xp-scope-select">${options}</select>
+            </div>
+        `;
+    }
+
+    /**
+     * Create dashboard grid HTML with one placeholder per section
      * @returns {string} - Dashboard HTML
      */
-    static createDashboardGrid(userData) {
+    static createDashboardGrid() {
         return `
             <div class="dashboard-grid">
-                <!-- Section 1: Basic User Information -->
-                ${this.createUserInfoSection(userData)}
-                
-                <!-- Section 2: XP and Level Information -->
-                ${this.createXPSection(userData)}
-                
-                <!-- Section 3: Audit Information -->
-                ${this.createAuditSection(userData)}
-                
-                <!-- Section 4: Graphical Statistics (Full Width) -->
-                ${this.createStatisticsSection(userData)}
-                
-                ${FEATURES.ENABLE_BONUS_SECTIONS ? this.createBonusSections(userData) : ''}
+                ${this.getSections().map(section => `
+                    <div class="section-slot" id="section-${section.id}"></div>
+                `).join('')}
             </div>
         `;
     }
@@ -240,7 +705,7 @@ class UI {
                     </div>
                     <div class="info-item">
                         <div class="label">Current Level</div>
-                        <div class="value">Level ${userData.level}</div>
+                        <div class="value">${this.formatLevel(userData)}</div>
                     </div>
                 </div>
             </div>
@@ -253,9 +718,19 @@ class UI {
      * @returns {string} - Section HTML
      */
     static createXPSection(userData) {
+        const otherScopes = userData.xpByScope
+            .filter(scope => scope.key !== userData.xpScope && scope.key !== 'all')
+            .map(scope => `
+                <div class="info-item">
+                    <div class="label">${scope.label} XP</div>
+                    <div class="value">${Utils.formatXP(scope.totalXP)}</div>
+                </div>
+            `)
+            .join('');
+
         return `
             <div class="dashboard-section">
-                <h2>⚡ Experience Points</h2>
+                <h2>⚡ Experience Points — ${CONFIG.XP_SCOPES[userData.xpScope].label}</h2>
                 <div class="info-grid">
                     <div class="info-item">
                         <div class="label">Total XP</div>
@@ -270,9 +745,11 @@ class UI {
                         <div class="value">${userData.transactions.length}</div>
                     </div>
                     <div class="info-item">
-                        <div class="label">Progress to Next Level</div>
-                        <div class="value">${Utils.formatXP(CONFIG.XP_PER_LEVEL - (userData.totalXP % CONFIG.XP_PER_LEVEL))}</div>
+                        <div class="label">To ${userData.levelEstimated ? 'Next Level' : `Level ${userData.level + 1}`} (estimated)</div>
+                        <div class="value">${Utils.formatXP(userData.levelProgress.xpToNextLevel)}</div>
+                        <div class="level-progress"><div class="level-progress-bar" style="width: ${userData.levelProgress.percent}%"></div></div>
                     </div>
+                    ${otherScopes}
                 </div>
             </div>
         `;
@@ -313,6 +790,336 @@ class UI {
         `;
     }
 
+    /**
+     * Create audit ledger section
+     * @param {object} userData - User data
+     * @returns {string} - Section HTML
+     */
+    static createAuditLedgerSection(userData) {
+        const view = this.auditLedgerView;
+        const option = (value, label, current) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+        const sortHeader = (key, label) => {
+            const arrow = view.sortKey === key ? (view.sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+            return `<th data-ledger-sort="${key}">${label}${arrow}</th>`;
+        };
+
+        return `
+            <div class="dashboard-section stats-full-width">
+                <h2>📒 Audit Ledger</h2>
+                <div class="audit-history">
+                    <div class="chart-container">
+                        <div class="chart-title">Audit Ratio Over Time</div>
+                        <div id="audit-history-chart"></div>
+                    </div>
+                    <div class="chart-container audit-simulator">
+                        <div class="chart-title">What-If Simulator</div>
+                        <label for="audit-target-ratio">Target ratio</label>
+                        <input type="number" id="audit-target-ratio" data-audit-target min="0.1" step="0.1" value="1.0">
+                        <p id="audit-simulator-result">${this.createAuditSimulatorResult(userData, 1)}</p>
+                    </div>
+                </div>
+                <div class="ledger-filters">
+                    <select data-ledger-filter="direction">
+                        ${option('all', 'Given & received', view.direction)}
+                        ${option('given', 'Given', view.direction)}
+                        ${option('received', 'Received', view.direction)}
+                    </select>
+                    <select data-ledger-filter="verdict">
+                        ${option('all', 'All verdicts', view.verdict)}
+                        ${option('pass', 'Pass', view.verdict)}
+                        ${option('fail', 'Fail', view.verdict)}
+                        ${option('pending', 'Pending', view.verdict)}
+                    </select>
+                    <input type="search" data-ledger-filter="search" placeholder="Filter by project or login" value="${Utils.escapeHtml(view.search)}">
+                </div>
+                <table class="ledger-table">
+                    <thead>
+                        <tr>
+                            ${sortHeader('createdAt', 'Date')}
+                            ${sortHeader('direction', 'Type')}
+                            ${sortHeader('project', 'Project')}
+                            <th>Group</th>
+                            <th>Auditor</th>
+                            ${sortHeader('verdict', 'Verdict')}
+                            ${sortHeader('amount', 'XP')}
+                        </tr>
+                    </thead>
+                    <tbody id="audit-ledger-rows">${this.createAuditLedgerRows(userData.auditLedger)}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Create audit ledger rows for the current filters and sort order
+     * @param {Array} entries - Ledger entries (see API.buildAuditLedger)
+     * @returns {string} - Table rows HTML
+     */
+    static createAuditLedgerRows(entries) {
+        const view = this.auditLedgerView;
+        const search = view.search.trim().toLowerCase();
+
+        const rows = entries
+            .filter(entry => view.direction === 'all' || entry.direction === view.direction)
+            .filter(entry => view.verdict === 'all' || entry.verdict === view.verdict)
+            .filter(entry => !search || [entry.project, entry.group, entry.auditor].some(text => text.toLowerCase().includes(search)))
+            .sort((a, b) => {
+                let order;
+                if (view.sortKey === 'createdAt') order = new Date(a.createdAt) - new Date(b.createdAt);
+                else if (view.sortKey === 'amount') order = a.amount - b.amount;
+                else order = a[view.sortKey].localeCompare(b[view.sortKey]);
+                return view.sortDir === 'asc' ? order : -order;
+            });
+
+        if (rows.length === 0) {
+            return '<tr><td colspan="7" class="text-muted">No audits match these filters</td></tr>';
+        }
+
+        return rows.map(entry => `
+            <tr>
+                <td>${Utils.formatDate(entry.createdAt)}</td>
+                <td>${entry.direction === 'given' ? '⬆️ Given' : '⬇️ Received'}</td>
+                <td>${Utils.escapeHtml(entry.project)}</td>
+                <td>${Utils.escapeHtml(entry.group)}</td>
+                <td>${Utils.escapeHtml(entry.auditor)}</td>
+                <td class="verdict-${entry.verdict}">${entry.verdict}</td>
+                <td>${entry.direction === 'given' ? '+' : '-'}${Utils.formatXP(entry.amount)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Describe how many average-sized audits are needed to reach a target ratio
+     * @param {object} userData - User data
+     * @param {number} targetRatio - Ratio to reach
+     * @returns {string} - Simulator result text
+     */
+    static createAuditSimulatorResult(userData, targetRatio) {
+        if (!(targetRatio > 0)) return 'Enter a target ratio above 0.';
+        if (userData.averageAuditXP === 0) return 'Complete an audit to estimate how many you need.';
+
+        const sum = type => userData.auditTransactions
+            .filter(t => t.type === type)
+            .reduce((total, t) => total + t.amount, 0);
+        const needed = Utils.calculateAuditsNeeded(sum('up'), sum('down'), targetRatio, userData.averageAuditXP);
+
+        if (needed === 0) return `You are already at or above ${targetRatio.toFixed(2)}.`;
+        return `About <strong>${needed}</strong> audit${needed === 1 ? '' : 's'} of ${Utils.formatXP(userData.averageAuditXP)} (your average) to reach ${targetRatio.toFixed(2)}, assuming nothing more is received.`;
+    }
+
+    /**
+     * Re-render the audit ledger after a filter or sort change
+     */
+    static renderAuditLedger() {
+        const section = this.getSections().find(s => s.id === 'audit-ledger');
+        this.renderSection(section);
+    }
+
+    /**
+     * Create activity feed section
+     * @returns {string} - Section HTML
+     */
+    static createActivitySection() {
+        const options = CONFIG.ACTIVITY_WINDOWS
+            .map(days => `<option value="${days}" ${days === this.activityWindow ? 'selected' : ''}>Last ${days} days</option>`)
+            .join('');
+
+        return `
+            <div class="dashboard-section">
+                <h2>🕒 Recent Activity</h2>
+                <select class="activity-window" data-activity-window>${options}</select>
+                <div class="activity-scroll" id="activity-scroll">
+                    <ul class="activity-feed" id="activity-feed"></ul>
+                    <div class="activity-feed-status" id="activity-feed-status"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create activity feed items HTML
+     * @param {Array} items - Activity items (see API.buildActivityItems)
+     * @returns {string} - List items HTML
+     */
+    static createActivityItems(items) {
+        const icons = {
+            xp: '⚡',
+            'audit-given': '⬆️',
+            'audit-received': '⬇️',
+            level: '🏆',
+            skill: '🎯',
+            pass: '✅',
+            fail: '❌',
+            other: '•'
+        };
+
+        return items.map(item => `
+            <li class="activity-item ${item.kind}">
+                <span class="activity-icon">${icons[item.kind]}</span>
+                <div class="activity-body">
+                    <div class="activity-title">${Utils.escapeHtml(item.title)}</div>
+                    <a href="#" class="activity-link" data-project-link="${Utils.escapeHtml(item.path)}">${Utils.escapeHtml(item.detail)}</a>
+                </div>
+                <time class="activity-date" datetime="${item.createdAt}">${Utils.formatDateTime(item.createdAt)}</time>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Restart the activity feed for the selected window and watch for scrolling to the end
+     */
+    static resetActivityFeed() {
+        if (this.activityObserver) {
+            this.activityObserver.disconnect();
+            this.activityObserver = null;
+        }
+
+        // The window starts when it is chosen, so every page is bounded by the same date
+        const since = new Date();
+        since.setDate(since.getDate() - this.activityWindow);
+
+        this.activityFeed = {
+            days: this.activityWindow,
+            since: since.toISOString(),
+            cursor: null,
+            hasMore: true,
+            loading: false,
+            count: 0
+        };
+
+        const list = document.getElementById('activity-feed');
+        const status = document.getElementById('activity-feed-status');
+        if (!list || !status) return;
+        list.innerHTML = '';
+
+        if ('IntersectionObserver' in window) {
+            this.activityObserver = new IntersectionObserver(
+                entries => {
+                    if (entries.some(entry => entry.isIntersecting)) this.loadActivityPage();
+                },
+                { root: document.getElementById('activity-scroll') }
+            );
+            this.activityObserver.observe(status);
+        } else {
+            this.loadActivityPage();
+        }
+    }
+
+    /**
+     * Load the next (older) page of the activity feed
+     */
+    static async loadActivityPage() {
+        const feed = this.activityFeed;
+        if (!feed || feed.loading || !feed.hasMore) return;
+
+        const status = document.getElementById('activity-feed-status');
+        feed.loading = true;
+        status.textContent = 'Loading activity...';
+
+        try {
+            const page = await api.fetchActivityPage(this.dashboardState.userId, feed.since, feed.cursor);
+            if (feed !== this.activityFeed) return;
+
+            feed.cursor = page.cursor;
+            feed.hasMore = page.hasMore;
+            feed.count += page.items.length;
+
+            document.getElementById('activity-feed').insertAdjacentHTML('beforeend', this.createActivityItems(page.items));
+
+            if (feed.hasMore) {
+                status.textContent = '';
+            } else {
+                status.textContent = feed.count > 0 ? 'No older activity' : `No activity in the last ${feed.days} days`;
+            }
+        } catch (error) {
+            if (feed !== this.activityFeed || error instanceof RequestCancelledError) return;
+
+            if (error instanceof AuthenticationError) {
+                auth.handleAuthError(error);
+                return;
+            }
+
+            console.error('❌ Failed to load activity:', error);
+            status.innerHTML = `
+                <span class="section-error-message">${Utils.getErrorMessage(error)}</span>
+                <button class="btn secondary" data-activity-retry>Retry</button>
+            `;
+            return;
+        } finally {
+            feed.loading = false;
+        }
+
+        // Re-observing reports the sentinel again, loading more while it is still in view
+        if (this.activityObserver && feed.hasMore) {
+            this.activityObserver.unobserve(status);
+            this.activityObserver.observe(status);
+        }
+    }
+
+    /**
+     * Open a project's attempt history from an activity link
+     * @param {string} path - Project path
+     */
+    static showProjectDetail(path) {
+        const project = Array.from(document.querySelectorAll('.project-attempt'))
+            .find(element => element.dataset.projectPath === path);
+
+        if (!project) {
+            Utils.showError('No attempt history for this project yet');
+            return;
+        }
+
+        project.open = true;
+        project.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Draw the XP progress chart, overlaying cohort bands when enabled
+     * The chart is drawn right away and redrawn once the cohort data arrives.
+     * @param {object} userData - User data
+     */
+    static async drawXPProgressChart(userData) {
+        Charts.createXPProgressChart(userData.transactions, 'xp-progress-chart');
+
+        const status = document.getElementById('cohort-status');
+        const scope = userData.xpScope;
+        if (!this.cohortOverlay || !this.canViewCohort() || !CONFIG.XP_SCOPES[scope].event || userData.transactions.length < 2) {
+            if (status) status.textContent = '';
+            return;
+        }
+
+        const dates = userData.transactions.map(t => new Date(t.createdAt));
+        if (status) status.textContent = 'Loading cohort data...';
+
+        try {
+            const bands = await api.fetchCohortXPBands(scope, dates[0], dates[dates.length - 1]);
+            if (!this.cohortOverlay || Utils.getXPScope() !== scope) return;
+
+            Charts.createXPProgressChart(userData.transactions, 'xp-progress-chart', bands);
+            if (status) status.textContent = '';
+        } catch (error) {
+            if (error instanceof RequestCancelledError) return;
+
+            if (error instanceof AuthenticationError) {
+                auth.handleAuthError(error);
+                return;
+            }
+
+            console.error('❌ Failed to load cohort data:', error);
+            if (status) status.textContent = Utils.getErrorMessage(error);
+
+            if (error instanceof AuthorizationError) {
+                this.markCohortDenied();
+                this.cohortOverlay = false;
+                const toggle = document.querySelector('[data-cohort-overlay]');
+                if (toggle) {
+                    toggle.checked = false;
+                    toggle.disabled = true;
+                }
+            }
+        }
+    }
+
     /**
      * Create statistics section (Section 4)
      * @param {object} userData - User data
@@ -325,13 +1132,20 @@ class UI {
                 <div class="charts-grid">
                     <div class="chart-container">
                         <div class="chart-title">XP Progress Over Time</div>
+                        ${this.canViewCohort() ? `
+                            <label class="cohort-toggle">
+                                <input type="checkbox" data-cohort-overlay ${this.cohortOverlay ? 'checked' : ''} ${CONFIG.XP_SCOPES[userData.xpScope].event ? '' : 'disabled'}>
+                                Compare with cohort (median, 25th-75th percentile)
+                            </label>
+                        ` : ''}
                         <div id="xp-progress-chart"></div>
+                        <div class="cohort-status text-muted" id="cohort-status"></div>
                     </div>
                     <div class="chart-container">
                         <div class="chart-title">Project Pass/Fail Ratio</div>
                         <div id="project-ratio-chart"></div>
                         <div style="text-align: center; margin-top: 10px;">
-                            <small>Passed: ${userData.passedProjects} | Failed: ${userData.failedProjects} | Rate: ${userData.passRate}%</small>
+                            <small>Passed: ${userData.passedProjects} | Failed: ${userData.failedProjects} | In progress: ${userData.inProgressProjects} | Rate: ${userData.passRate}%</small>
                         </div>
                     </div>
                     <div class="chart-container">
@@ -347,6 +1161,251 @@ class UI {
         `;
     }
 
+    /**
+     * Create leaderboard section
+     * @returns {string} - Section HTML
+     */
+    static createLeaderboardSection() {
+        const options = Object.entries(CONFIG.XP_SCOPES)
+            .filter(([, scope]) => scope.event)
+            .map(([key, scope]) => `<option value="${key}" ${key === this.leaderboardView.scope ? 'selected' : ''}>${scope.label}</option>`)
+            .join('');
+
+        return `
+            <div class="dashboard-section stats-full-width">
+                <h2>🏅 Leaderboard</h2>
+                <select class="leaderboard-scope" data-leaderboard-scope>${options}</select>
+                <div id="leaderboard-body"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Load the leaderboard for the selected event
+     */
+    static async loadLeaderboard() {
+        const view = this.leaderboardView;
+        const scope = view.scope;
+        const body = document.getElementById('leaderboard-body');
+        if (!body) return;
+
+        view.ranking = null;
+        body.innerHTML = '<p class="text-muted">Loading leaderboard...</p>';
+
+        try {
+            const ranking = await api.fetchLeaderboard(scope);
+            if (view !== this.leaderboardView || scope !== view.scope) return;
+
+            view.ranking = ranking;
+            this.renderLeaderboardPage();
+        } catch (error) {
+            if (view !== this.leaderboardView || error instanceof RequestCancelledError) return;
+
+            if (error instanceof AuthenticationError) {
+                auth.handleAuthError(error);
+                return;
+            }
+
+            console.error('❌ Failed to load leaderboard:', error);
+            // Retrying cannot help when the role lacks permission
+            const retry = error instanceof AuthorizationError
+                ? ''
+                : '<button class="btn secondary section-retry-btn" data-leaderboard-retry>Retry</button>';
+            body.innerHTML = `<p class="section-error-message">${Utils.getErrorMessage(error)}</p>${retry}`;
+
+            if (error instanceof AuthorizationError) {
+                this.markCohortDenied();
+            }
+        }
+    }
+
+    /**
+     * Render the current leaderboard page
+     * Opens on the page containing the current user.
+     */
+    static renderLeaderboardPage() {
+        const view = this.leaderboardView;
+        const body = document.getElementById('leaderboard-body');
+        if (!body || !view.ranking) return;
+
+        const ranking = view.ranking;
+        if (ranking.length === 0) {
+            body.innerHTML = '<p class="text-muted">No members found for this event</p>';
+            return;
+        }
+
+        const pageSize = CONFIG.LEADERBOARD_PAGE_SIZE;
+        const pageCount = Math.ceil(ranking.length / pageSize);
+        const me = ranking.find(member => member.userId === this.dashboardState.userId);
+
+        if (view.page === null) {
+            view.page = me ? Math.floor((me.rank - 1) / pageSize) : 0;
+        }
+        view.page = Math.min(Math.max(view.page, 0), pageCount - 1);
+
+        const summary = me
+            ? `Rank <strong>#${me.rank}</strong> of ${ranking.length} · Percentile <strong>${Utils.calculatePercentage(ranking.length - me.rank, ranking.length)}</strong>`
+            : `You are not ranked in this event (${ranking.length} members)`;
+
+        const rows = ranking
+            .slice(view.page * pageSize, (view.page + 1) * pageSize)
+            .map(member => `
+                <tr class="${member === me ? 'current-user' : ''}">
+                    <td>#${member.rank}</td>
+                    <td>@${Utils.escapeHtml(member.login)}</td>
+                    <td>${Utils.escapeHtml(member.name)}</td>
+                    <td>${Utils.formatXP(member.xp)}</td>
+                </tr>
+            `).join('');
+
+        body.innerHTML = `
+            <p class="leaderboard-summary">${summary}</p>
+            <table class="ledger-table leaderboard-table">
+                <thead>
+                    <tr><th>Rank</th><th>Login</th><th>Name</th><th>XP</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="leaderboard-pagination">
+                <button class="btn secondary" data-leaderboard-page="-1" ${view.page === 0 ? 'disabled' : ''}>Previous</button>
+                <span>Page ${view.page + 1} of ${pageCount}</span>
+                <button class="btn secondary" data-leaderboard-page="1" ${view.page === pageCount - 1 ? 'disabled' : ''}>Next</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Create group history section
+     * @param {object} userData - User data
+     * @returns {string} - Section HTML
+     */
+    static createGroupsSection(userData) {
+        const collaborators = userData.frequentCollaborators.length > 0
+            ? userData.frequentCollaborators.map(c => `
+                <li title="${Utils.escapeHtml(c.projects.join(', '))}">
+                    <span>@${Utils.escapeHtml(c.login)}</span>
+                    <span class="text-muted">${c.count} project${c.count === 1 ? '' : 's'}</span>
+                </li>
+            `).join('')
+            : '<li class="text-muted">No teammates yet</li>';
+
+        const rows = userData.groupHistory.length > 0
+            ? userData.groupHistory.map(group => `
+                <tr>
+                    <td>${Utils.escapeHtml(group.project)}</td>
+                    <td>${Utils.formatDate(group.createdAt)}</td>
+                    <td>@${Utils.escapeHtml(group.captain)}</td>
+                    <td>${group.members.map(login => `@${Utils.escapeHtml(login)}`).join(', ')}</td>
+                    <td><span class="group-status ${Utils.escapeHtml(group.status)}">${Utils.escapeHtml(group.status)}</span></td>
+                    <td class="${group.grade === null ? '' : group.grade >= 1 ? 'grade-pass' : 'grade-fail'}">${group.grade === null ? '—' : group.grade.toFixed(2)}</td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="6" class="text-muted">No groups yet</td></tr>';
+
+        return `
+            <div class="dashboard-section stats-full-width">
+                <h2>👥 Groups & Teammates</h2>
+                <div class="groups-layout">
+                    <table class="ledger-table">
+                        <thead>
+                            <tr><th>Project</th><th>Created</th><th>Captain</th><th>Members</th><th>Status</th><th>Grade</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <div class="info-item">
+                        <div class="label">Frequent Collaborators</div>
+                        <ul class="collaborator-list">${collaborators}</ul>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create project attempts section
+     * @param {object} userData - User data
+     * @returns {string} - Section HTML
+     */
+    static createProjectAttemptsSection(userData) {
+        const { projectAttempts, attemptStats } = userData;
+
+        const mostRetried = attemptStats.mostRetried.length > 0
+            ? attemptStats.mostRetried.map(p => `<li>${Utils.escapeHtml(p.name)} <span class="text-muted">(${p.attempts.length} attempts)</span></li>`).join('')
+            : '<li class="text-muted">No retried projects</li>';
+
+        const projects = projectAttempts.length > 0
+            ? projectAttempts.map(project => this.createProjectAttemptsItem(project)).join('')
+            : '<p class="text-muted">No project results yet</p>';
+
+        return `
+            <div class="dashboard-section stats-full-width">
+                <h2>🗂️ Project Attempts</h2>
+                <div class="info-grid">
+                    <div class="info-item">
+                        <div class="label">Projects Attempted</div>
+                        <div class="value">${projectAttempts.length}</div>
+                    </div>
+                    <div class="info-item">
+                        <div class="label">Avg. Attempts to Pass</div>
+                        <div class="value">${attemptStats.averageAttemptsToPass}</div>
+                    </div>
+                    <div class="info-item">
+                        <div class="label">First-Try Pass Rate</div>
+                        <div class="value">${attemptStats.firstTryPassRate}%</div>
+                    </div>
+                    <div class="info-item">
+                        <div class="label">Most Retries</div>
+                        <ul class="most-retried">${mostRetried}</ul>
+                    </div>
+                </div>
+                <div class="project-attempts">${projects}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create one project's attempt history
+     * @param {object} project - Project entry (see API.groupAttempts)
+     * @returns {string} - Project HTML
+     */
+    static createProjectAttemptsItem(project) {
+        const statusLabels = { passed: 'Passed', failed: 'Failed', in_progress: 'In progress' };
+
+        const attempts = project.attempts.map((attempt, index) => {
+            const previous = project.attempts[index - 1];
+            const gap = previous
+                ? `+${Utils.formatDuration(new Date(attempt.createdAt) - new Date(previous.createdAt))}`
+                : 'First attempt';
+            const graded = attempt.grade !== null && attempt.grade !== undefined;
+            const gradeClass = graded ? (attempt.grade >= 1 ? 'grade-pass' : 'grade-fail') : '';
+
+            return `
+                <tr>
+                    <td>#${index + 1}</td>
+                    <td>${Utils.formatDateTime(attempt.createdAt)}</td>
+                    <td class="${gradeClass}">${graded ? attempt.grade.toFixed(2) : 'Pending'}</td>
+                    <td>${gap}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <details class="project-attempt" data-project-path="${Utils.escapeHtml(project.path)}">
+                <summary>
+                    <span class="project-name">${Utils.escapeHtml(project.name)}</span>
+                    <span class="project-status ${project.status}">${statusLabels[project.status]}</span>
+                    <span class="text-muted">${project.attempts.length} attempt${project.attempts.length === 1 ? '' : 's'}</span>
+                </summary>
+                <table class="attempt-table">
+                    <thead>
+                        <tr><th>Attempt</th><th>Date</th><th>Grade</th><th>Since Previous</th></tr>
+                    </thead>
+                    <tbody>${attempts}</tbody>
+                </table>
+            </details>
+        `;
+    }
+
     /**
      * Create bonus sections
      * @param {object} userData - User data
@@ -359,7 +1418,7 @@ class UI {
                 <div class="info-grid">
                     <div class="info-item">
                         <div class="label">Programming Skills</div>
-                        <div class="value">${userData.skills?.length || 5} Skills</div>
+                        <div class="value">${userData.skills.length} Skills</div>
                     </div>
                     <div class="info-item">
                         <div class="label">Projects Completed</div>
@@ -371,13 +1430,17 @@ class UI {
                     </div>
                     <div class="info-item">
                         <div class="label">Experience Level</div>
-                        <div class="value">Level ${userData.level || 0}</div>
+                        <div class="value">${this.formatLevel(userData)}</div>
                     </div>
                 </div>
                 <div class="chart-container">
                     <div class="chart-title">Skills Breakdown</div>
                     <div id="skills-chart"></div>
                 </div>
+                <div class="chart-container">
+                    <div class="chart-title">Skill Progression Over Time</div>
+                    <div id="skill-progression-chart"></div>
+                </div>
             </div>
             
             <div class="dashboard-section bonus-section">
@@ -425,75 +1488,284 @@ class UI {
     }
 
     /**
-     * Create all charts
-     * @param {object} userData - User data
+     * Attach profile event listeners
+     */
+    static attachProfileEventListeners() {
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => {
+                if (confirm('Are you sure you want to logout?')) {
+                    auth.logout();
+                }
+            });
+        }
+
+        const accountSwitcher = document.getElementById('account-switcher');
+        if (accountSwitcher) {
+            accountSwitcher.addEventListener('change', () => {
+                if (accountSwitcher.value === 'add') {
+                    this.renderLogin(true);
+                } else {
+                    auth.switchAccount(accountSwitcher.value);
+                }
+            });
+        }
+
+        // Recompute XP totals and charts for the chosen scope
+        const scopeSelect = document.getElementById('xp-scope-select');
+        if (scopeSelect) {
+            scopeSelect.addEventListener('change', () => {
+                Utils.setXPScope(scopeSelect.value);
+                this.renderSectionsUsing('transactions');
+            });
+        }
+
+        // Section retry buttons are re-rendered, so listen on the grid
+        const grid = document.querySelector('.dashboard-grid');
+        if (grid) {
+            grid.addEventListener('click', (e) => {
+                const retryBtn = e.target.closest('[data-retry-section]');
+                if (retryBtn) {
+                    this.retrySection(retryBtn.dataset.retrySection);
+                }
+
+                const projectLink = e.target.closest('[data-project-link]');
+                if (projectLink) {
+                    e.preventDefault();
+                    this.showProjectDetail(projectLink.dataset.projectLink);
+                }
+
+                if (e.target.closest('[data-activity-retry]')) {
+                    this.loadActivityPage();
+                }
+
+                const pageBtn = e.target.closest('[data-leaderboard-page]');
+                if (pageBtn) {
+                    this.leaderboardView.page += parseInt(pageBtn.dataset.leaderboardPage, 10);
+                    this.renderLeaderboardPage();
+                }
+
+                if (e.target.closest('[data-leaderboard-retry]')) {
+                    this.loadLeaderboard();
+                }
+
+                const sortHeader = e.target.closest('[data-ledger-sort]');
+                if (sortHeader) {
+                    const view = this.auditLedgerView;
+                    const key = sortHeader.dataset.ledgerSort;
+                    view.sortDir = view.sortKey === key && view.sortDir === 'desc' ? 'asc' : 'desc';
+                    view.sortKey = key;
+                    this.renderAuditLedger();
+                }
+            });
+
+            grid.addEventListener('change', (e) => {
+                if ('activityWindow' in e.target.dataset) {
+                    this.activityWindow = parseInt(e.target.value, 10);
+                    this.resetActivityFeed();
+                }
+
+                if ('cohortOverlay' in e.target.dataset) {
+                    this.cohortOverlay = e.target.checked;
+                    this.drawXPProgressChart(this.getDashboardUserData());
+                }
+
+                if ('leaderboardScope' in e.target.dataset) {
+                    this.leaderboardView.scope = e.target.value;
+                    this.leaderboardView.page = null;
+                    this.loadLeaderboard();
+                }
+            });
+
+            grid.addEventListener('input', (e) => {
+                if ('auditTarget' in e.target.dataset) {
+                    const result = document.getElementById('audit-simulator-result');
+                    if (result) {
+                        result.innerHTML = this.createAuditSimulatorResult(this.getDashboardUserData(), parseFloat(e.target.value));
+                    }
+                    return;
+                }
+
+                const filter = e.target.dataset.ledgerFilter;
+                if (filter) {
+                    this.auditLedgerView[filter] = e.target.value;
+                    const rows = document.getElementById('audit-ledger-rows');
+                    if (rows) {
+                        rows.innerHTML = this.createAuditLedgerRows(this.getDashboardUserData().auditLedger);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Show a banner counting down to session expiry
+     * @param {number} expiresAt - Expiry timestamp in milliseconds
      */
-    static createAllCharts(userData) {
-        console.log('🎨 Creating charts with data:', {
-            transactions: userData.transactions?.length || 0,
-            auditUp: userData.auditUp,
-            auditDown: userData.auditDown,
-            passedProjects: userData.passedProjects,
-            failedProjects: userData.failedProjects,
-            skills: userData.skills?.length || 0
+    static showSessionWarning(expiresAt) {
+        this.hideSessionWarning();
+
+        const banner = document.createElement('div');
+        banner.className = 'session-warning';
+        banner.id = 'session-warning';
+        banner.innerHTML = `
+            <span>Your session expires in <strong id="session-countdown"></strong></span>
+            <button type="button" class="btn secondary" id="session-renew-btn">Sign in again</button>
+        `;
+        document.body.appendChild(banner);
+
+        const countdown = document.getElementById('session-countdown');
+        const tick = () => {
+            const seconds = Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 0);
+            countdown.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        tick();
+        this.sessionWarningInterval = setInterval(tick, 1000);
+
+        document.getElementById('session-renew-btn').addEventListener('click', () => {
+            auth.requestReauth().catch(() => {});
         });
+    }
 
-        // Check if chart containers exist
-        const chartContainers = [
-            'xp-progress-chart',
-            'audit-chart',
-            'project-ratio-chart',
-            'xp-by-project-chart',
-            'piscine-stats-chart',
-            'skills-chart'
-        ];
+    /**
+     * Remove the session expiry banner
+     */
+    static hideSessionWarning() {
+        clearInterval(this.sessionWarningInterval);
+        this.sessionWarningInterval = null;
 
-        chartContainers.forEach(id => {
-            const container = document.getElementById(id);
-            if (!container) {
-                console.warn(`⚠️ Chart container not found: ${id}`);
-            } else {
-                console.log(`✅ Chart container found: ${id}`);
+        const banner = document.getElementById('session-warning');
+        if (banner) banner.remove();
+    }
+
+    /**
+     * Follow session changes published by Auth
+     * @param {Auth} session - Session to subscribe to
+     */
+    static connect(session) {
+        session.on('expiring', ({ expiresAt }) => this.showSessionWarning(expiresAt));
+        session.on('expired', ({ label, expiresAt }) => {
+            this.hideSessionWarning();
+            this.showReauthModal(label, expiresAt);
+        });
+        session.on('logout', ({ showMessage, reason }) => {
+            if (reason === 'idle') {
+                Utils.showError(CONFIG.ERRORS.SESSION_IDLE);
+            } else if (showMessage) {
+                Utils.showSuccess(CONFIG.SUCCESS.LOGOUT);
             }
         });
+        session.on('tokenChanged', detail => this.handleTokenChanged(detail));
+    }
 
-        try {
-            // Required charts
-            Charts.createXPProgressChart(userData.transactions, 'xp-progress-chart');
-            Charts.createAuditRatioChart(userData.auditUp, userData.auditDown, 'audit-chart');
-            Charts.createProjectRatioChart(userData.passedProjects, userData.failedProjects, 'project-ratio-chart');
-
-            // New project requirement charts
-            Charts.createXPByProjectChart(userData.transactions, 'xp-by-project-chart');
-            Charts.createPiscineStatsChart(userData.piscineProgress || userData.progress, 'piscine-stats-chart');
-
-            // Bonus charts - always create skills chart
-            if (FEATURES.ENABLE_BONUS_SECTIONS) {
-                const skillsData = userData.skills && userData.skills.length > 0
-                    ? userData.skills
-                    : this.generateDefaultSkills(userData);
-                Charts.createSkillsChart(skillsData, 'skills-chart');
+    /**
+     * Show the dashboard that matches the active token
+     * @param {object} detail - tokenChanged event detail
+     */
+    static handleTokenChanged({ accountId, remote }) {
+        this.hideSessionWarning();
+        this.hideReauthModal();
+
+        if (!accountId) {
+            if (this.displayedAccountId) {
+                this.displayedAccountId = null;
+                setTimeout(() => this.renderLogin(), 1000);
             }
-
-            console.log('✅ All charts created successfully');
-        } catch (error) {
-            console.error('❌ Error creating charts:', error);
-            Utils.showError('Error creating charts: ' + error.message);
+            return;
         }
+
+        // A renewed token for the account on screen keeps the current view
+        if (accountId === this.displayedAccountId) return;
+
+        // The login form redirects on its own once sign-in succeeds
+        if (!this.displayedAccountId && !remote) return;
+
+        this.renderProfile();
     }
 
     /**
-     * Attach profile event listeners
+     * Show the re-login modal over the current view
+     * @param {string} username - Username to prefill
+     * @param {number|null} expiresAt - Token expiry timestamp in milliseconds
      */
-    static attachProfileEventListeners() {
-        const logoutBtn = document.getElementById('logout-btn');
-        if (logoutBtn) {
-            logoutBtn.addEventListener('click', () => {
-                if (confirm('Are you sure you want to logout?')) {
-                    auth.logout();
+    static showReauthModal(username = '', expiresAt = null) {
+        this.hideReauthModal();
+        const expired = !expiresAt || expiresAt <= Date.now();
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.id = 'reauth-modal';
+        modal.innerHTML = `
+            <div class="modal fade-in" role="dialog" aria-modal="true" aria-labelledby="reauth-title">
+                <h2 id="reauth-title">${expired ? 'Session expired' : 'Session expiring'}</h2>
+                <p class="subtitle">Sign in again to continue where you left off.</p>
+
+                <form id="reauth-form">
+                    <div class="form-group">
+                        <label for="reauth-username">Username or Email</label>
+                        <input type="text" id="reauth-username" name="username" required
+                               value="${Utils.escapeHtml(username)}" placeholder="Enter your username or email">
+                    </div>
+
+                    <div class="form-group">
+                        <label for="reauth-password">Password</label>
+                        <input type="password" id="reauth-password" name="password" required
+                               placeholder="Enter your password">
+                    </div>
+
+                    <div id="reauth-error" class="error hidden"></div>
+
+                    <div class="modal-actions">
+                        <button type="submit" class="btn" id="reauth-btn">Sign in</button>
+                        <button type="button" class="btn secondary" id="reauth-logout-btn">Logout</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const form = document.getElementById('reauth-form');
+        const submitBtn = document.getElementById('reauth-btn');
+        const errorDiv = document.getElementById('reauth-error');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const username = document.getElementById('reauth-username').value.trim();
+            const password = document.getElementById('reauth-password').value;
+            if (!username || !password) {
+                errorDiv.textContent = CONFIG.ERRORS.MISSING_CREDENTIALS;
+                errorDiv.classList.remove('hidden');
+                return;
+            }
+
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Signing in...';
+            errorDiv.classList.add('hidden');
+
+            try {
+                if (await auth.reauthenticate(username, password)) {
+                    Utils.showSuccess(CONFIG.SUCCESS.REAUTH);
                 }
-            });
-        }
+            } catch (error) {
+                errorDiv.textContent = Utils.getErrorMessage(error);
+                errorDiv.classList.remove('hidden');
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Sign in';
+            }
+        });
+
+        document.getElementById('reauth-logout-btn').addEventListener('click', () => auth.logout());
+
+        document.getElementById(username ? 'reauth-password' : 'reauth-username').focus();
+    }
+
+    /**
+     * Remove the re-login modal
+     */
+    static hideReauthModal() {
+        const modal = document.getElementById('reauth-modal');
+        if (modal) modal.remove();
     }
 
     /**
@@ -510,40 +1782,6 @@ class UI {
         Utils.hideLoading();
     }
 
-    /**
-     * Generate default skills when no skills data is available
-     * @param {object} userData - User data
-     * @returns {Array} - Default skills array
-     */
-    static generateDefaultSkills(userData) {
-        const baseSkills = [
-            { name: 'Programming', baseAmount: 80 },
-            { name: 'Problem Solving', baseAmount: 75 },
-            { name: 'Algorithms', baseAmount: 70 },
-            { name: 'Web Development', baseAmount: 65 },
-            { name: 'Teamwork', baseAmount: 60 }
-        ];
-
-        return baseSkills.map((skill, index) => {
-            // Adjust skill level based on user progress
-            const levelMultiplier = (userData.level || 1) * 0.1;
-            const projectMultiplier = (userData.totalProjects || 0) * 0.5;
-            const adjustedAmount = Math.min(100, skill.baseAmount + levelMultiplier + projectMultiplier);
-
-            return {
-                id: `default-skill-${index}`,
-                type: 'skill',
-                amount: Math.round(adjustedAmount),
-                createdAt: new Date().toISOString(),
-                path: `/skills/${skill.name.toLowerCase().replace(' ', '-')}`,
-                object: {
-                    name: skill.name,
-                    type: 'skill'
-                }
-            };
-        });
-    }
-
     /**
      * Display JWT token in the UI
      */
@@ -765,7 +2003,7 @@ class UI {
                                 <li>• <strong>API:</strong> GraphQL with Fetch</li>
                                 <li>• <strong>Charts:</strong> Pure SVG</li>
                                 <li>• <strong>Auth:</strong> JWT Tokens</li>
-                                <li>• <strong>Storage:</strong> localStorage</li>
+                                <li>• <strong>Storage:</strong> localStorage / sessionStorage</li>
                                 <li>• <strong>Hosting:</strong> Static Files</li>
                             </ul>
                         </div>
@@ -800,3 +2038,4 @@ class UI {
 
 // Export to global scope
 window.UI = UI;
+UI.connect(auth);
@@ -36,25 +36,44 @@ function parseJwt(token) {
     }
 }
 
+/**
+ * Read the active JWT token
+ * Session-only sign-ins live in sessionStorage and take precedence within their tab.
+ * @returns {string|null} - JWT token or null
+ */
+function getStoredToken() {
+    return sessionStorage.getItem(CONFIG.TOKEN_KEY) || localStorage.getItem(CONFIG.TOKEN_KEY);
+}
+
 /**
  * Extract user ID from JWT token
  * @returns {number} - User ID
  * @throws {Error} - If token is invalid or missing
  */
 function getUserIdFromToken() {
-    const token = localStorage.getItem(CONFIG.TOKEN_KEY);
+    const token = getStoredToken();
     if (!token) {
-        throw new Error('No authentication token found');
+        throw new AuthenticationError('No authentication token found');
     }
     
     const payload = parseJwt(token);
     if (!payload || !payload.sub) {
-        throw new Error('Invalid token or missing user ID');
+        throw new AuthenticationError('Invalid token or missing user ID');
     }
     
     return parseInt(payload.sub);
 }
 
+/**
+ * Extract the operation name from a GraphQL document
+ * @param {string} query - GraphQL query text
+ * @returns {string|undefined} - Operation name or undefined for anonymous queries
+ */
+function getOperationName(query) {
+    const match = /^\s*(?:query|mutation|subscription)\s+(\w+)/.exec(query || '');
+    return match ? match[1] : undefined;
+}
+
 /**
  * Format XP amount with appropriate units
  * @param {number} xpAmount - XP amount to format
@@ -71,14 +90,94 @@ function formatXP(xpAmount) {
 }
 
 /**
- * Calculate user level based on total XP
+ * Format skill transaction type for display
+ * @param {string} type - Transaction type, e.g. "skill_go"
+ * @returns {string} - Skill name, e.g. "Go"
+ */
+function formatSkillName(type) {
+    const key = type.replace(/^skill_/, '');
+    if (CONFIG.SKILL_LABELS[key]) {
+        return CONFIG.SKILL_LABELS[key];
+    }
+    return key
+        .split(/[-_]/)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Escape text for interpolation into HTML templates and attribute values
+ * @param {*} value - Text to escape; null and undefined become an empty string
+ * @returns {string} - HTML-safe text
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check whether an object path belongs to an XP scope
+ * @param {string} path - Object path, e.g. "/kisumu/module/go-reloaded"
+ * @param {string} scopeKey - Key into CONFIG.XP_SCOPES
+ * @returns {boolean} - True if the path is in scope
+ */
+function isPathInScope(path, scopeKey) {
+    const scope = CONFIG.XP_SCOPES[scopeKey];
+    if (!scope || !path) return false;
+
+    const matches = prefix => path.startsWith(CONFIG.PATH_PREFIX + prefix);
+    return scope.include.some(matches) && !scope.exclude.some(matches);
+}
+
+/**
+ * Get the selected XP scope
+ * @returns {string} - Key into CONFIG.XP_SCOPES
+ */
+function getXPScope() {
+    const scope = localStorage.getItem(CONFIG.XP_SCOPE_KEY);
+    return CONFIG.XP_SCOPES[scope] ? scope : CONFIG.DEFAULT_XP_SCOPE;
+}
+
+/**
+ * Persist the selected XP scope
+ * @param {string} scopeKey - Key into CONFIG.XP_SCOPES
+ */
+function setXPScope(scopeKey) {
+    if (CONFIG.XP_SCOPES[scopeKey]) {
+        localStorage.setItem(CONFIG.XP_SCOPE_KEY, scopeKey);
+    }
+}
+
+/**
+ * Estimate user level linearly from total XP
+ * Only a fallback for users without `level` transactions; real levels are nonlinear.
  * @param {number} totalXP - Total XP amount
- * @returns {number} - User level
+ * @returns {number} - Estimated user level
  */
 function calculateLevel(totalXP) {
     return Math.floor(totalXP / CONFIG.XP_PER_LEVEL);
 }
 
+/**
+ * Estimate the total XP at which a level starts
+ * An approximation of the platform's nonlinear level curve, which isn't published:
+ * going from level n to n + 1 is taken to cost round(n * 0.66 + 1) * ((n + 2) * 150 + 50) XP.
+ * @param {number} level - Level
+ * @returns {number} - Estimated cumulative XP required to reach the level
+ */
+function getXPForLevel(level) {
+    let totalXP = 0;
+    for (let n = 0; n < level; n++) {
+        totalXP += Math.round(n * 0.66 + 1) * ((n + 2) * 150 + 50);
+    }
+    return totalXP;
+}
+
 /**
  * Format date for display
  * @param {string|Date} date - Date to format
@@ -109,6 +208,50 @@ function formatDateTime(date) {
     });
 }
 
+/**
+ * Get a percentile of sorted values, interpolating between neighbours
+ * @param {Array<number>} sortedValues - Values in ascending order
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number} - Percentile value
+ */
+function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return 0;
+
+    const position = (sortedValues.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+/**
+ * Calculate how many audits are needed to reach an audit ratio
+ * @param {number} up - Audit XP given so far
+ * @param {number} down - Audit XP received so far
+ * @param {number} targetRatio - Ratio to reach
+ * @param {number} auditSize - XP earned per audit
+ * @returns {number} - Number of audits, 0 if the target is already met
+ */
+function calculateAuditsNeeded(up, down, targetRatio, auditSize) {
+    const missing = targetRatio * down - up;
+    if (missing <= 0) return 0;
+    return Math.ceil(missing / auditSize);
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Duration such as "3d 4h", "5h 12m" or "8m"
+ */
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (days > 0) return `${days}d ${hours % 24}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+}
+
 /**
  * Calculate percentage
  * @param {number} value - Value
@@ -208,6 +351,18 @@ function showSuccess(message, container = null) {
     }, 3000);
 }
 
+/**
+ * Get user-facing message for any error
+ * @param {Error} error - Error object
+ * @returns {string} - Message from CONFIG.ERRORS for typed errors, else the error message
+ */
+function getErrorMessage(error) {
+    if (error instanceof AppError) {
+        return error.userMessage;
+    }
+    return (error && error.message) || CONFIG.ERRORS.UNKNOWN;
+}
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -240,7 +395,7 @@ function deepClone(obj) {
  * @returns {boolean} - True if authenticated
  */
 function isAuthenticated() {
-    const token = localStorage.getItem(CONFIG.TOKEN_KEY);
+    const token = getStoredToken();
     if (!token) return false;
     
     try {
@@ -259,25 +414,45 @@ function isAuthenticated() {
  * Clear all stored data
  */
 function clearStoredData() {
-    localStorage.removeItem(CONFIG.TOKEN_KEY);
-    localStorage.removeItem(CONFIG.USER_KEY);
+    [localStorage, sessionStorage].forEach(storage => {
+        storage.removeItem(CONFIG.TOKEN_KEY);
+        storage.removeItem(CONFIG.ACCOUNTS_KEY);
+
+        // Evict cached query results
+        Object.keys(storage)
+            .filter(key => key.startsWith(CONFIG.CACHE_PREFIX))
+            .forEach(key => storage.removeItem(key));
+    });
+    localStorage.removeItem(CONFIG.LAST_ACTIVE_KEY);
 }
 
 // Export functions to global scope
 window.Utils = {
     base64Encode,
     parseJwt,
+    getStoredToken,
     getUserIdFromToken,
+    getOperationName,
     formatXP,
+    formatSkillName,
+    escapeHtml,
+    isPathInScope,
+    getXPScope,
+    setXPScope,
     calculateLevel,
+    getXPForLevel,
     formatDate,
     formatDateTime,
+    formatDuration,
     calculatePercentage,
+    calculateAuditsNeeded,
+    percentile,
     debounce,
     showLoading,
     hideLoading,
     showError,
     showSuccess,
+    getErrorMessage,
     isValidEmail,
     generateId,
     deepClone,